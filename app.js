@@ -1,21 +1,87 @@
+import "./due.js";
 import {
-  openDB, getAllDecks, addDeck, updateDeck, deleteDeck,
-  getCardsByDeck, addCard, updateCard, deleteCard, putCard,
-  exportAll, wipeAll
+  openDB, getAllDecks, addDeck, updateDeck, deleteDeck, descendantDeckIds,
+  getCardsByDeck, getCardsByDecks, addCard, updateCard, deleteCard,
+  exportAll, wipeAll, validateBackup, restoreBackup,
+  recordReview, getReviewsByCard, getAllReviews, defaultSRS, importCards,
+  getAllCards, getCardsByTag, getAllTags, CARD_TYPES, VERB_FIELDS,
+  moveCards, copyCards, resetCards, editCards, deleteCards, parseTags, mergeCards,
+  getChangesSince, applySyncChanges, uid,
+  getSnapshots, addSnapshot, readSnapshot, deleteSnapshot, pruneSnapshots,
+  revertReview, undoImport, getTrash, restoreTrash, purgeTrash, getMeta, setMeta
 } from "./db.js";
+import {
+  SCHEDULERS, getScheduler, formatInterval,
+  nextState, previewNext, parseSteps, isNewState, isLearning
+} from "./scheduler.js";
+import {
+  checkTypedAnswer, foldGerman, levenshtein, pluralCandidates, matchPluralPattern, barePlural,
+  clozeIds, renderCloze, autoCloze, stripCloze
+} from "./text.js";
+import { CASES, canDecline, makeQuestion, checkDeclension } from "./declension.js";
+import { parseQuery, matchesQuery } from "./query.js";
+
+// due.js is a classic script shared with sw.js; see there.
+const { REMINDER_TAG, trackDue, countDue, dayKey, reminderAt, reminderDue } = globalThis.gfcDue;
 
 /** --------------------------
  *  PWA / Service Worker
  *  -------------------------- */
+// A new release installs in the background and waits (see sw.js); the
+// footer offers the reload, and only then does the new worker take over.
+let updateAccepted = false;
+
 async function registerSW() {
   if (!("serviceWorker" in navigator)) return;
   try {
-    await navigator.serviceWorker.register("./sw.js");
+    const reg = await navigator.serviceWorker.register("./sw.js");
+    // Installed on an earlier visit and still waiting.
+    if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        // With no controller this is the first install, not an update.
+        if (worker.state === "installed" && navigator.serviceWorker.controller) offerUpdate(worker);
+      });
+    });
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (updateAccepted) location.reload();
+    });
+    // Long-lived tabs (a home-screen app can stay open for days) look too.
+    setInterval(() => reg.update().catch(() => {}), 60*60*1000);
   } catch (e) {
     console.warn("SW registration failed", e);
   }
 }
 
+function offerUpdate(worker) {
+  const btn = $("#btnUpdate");
+  btn.classList.remove("hidden");
+  btn.onclick = () => {
+    // A running session is saved, so it can be resumed after the reload.
+    updateAccepted = true;
+    btn.disabled = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+}
+
+// The running worker's VERSION, or null without one.
+function getAppVersion() {
+  const sw = navigator.serviceWorker?.controller;
+  if (!sw) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data?.version ?? null);
+    sw.postMessage({ type: "GET_VERSION" }, [channel.port2]);
+    setTimeout(() => resolve(null), 2000);
+  });
+}
+
+async function renderAppVersion() {
+  const version = await getAppVersion();
+  $("#appVersion").textContent = version ? `v${version}` : "";
+}
+
 /** --------------------------
  *  Settings
  *  -------------------------- */
@@ -23,8 +89,25 @@ const SETTINGS_KEY = "gfc_settings_v1";
 function loadSettings() {
   const d = {
     theme: "system", // system | dark | light
-    front: "english", // english | german
-    ttsVoiceURI: ""
+    front: "english", // english | german | both
+    ttsVoiceURI: "",
+    scheduler: "simple", // see SCHEDULERS in scheduler.js
+    learningSteps: "1m 10m",
+    newPerDay: 20,
+    reviewsPerDay: 200,
+    leechThreshold: 8, // lapses before a card counts as a leech
+    caseFocus: "", // declension drill: "" for all cases, or one CASES id
+    caseAdjectives: false,
+    listenSource: "word", // listening mode plays: word | example | mixed
+    syncUrl: "", // optional sync server; empty = this device only
+    syncToken: "",
+    snapshotKeep: 10, // restore points kept (daily + before risky actions)
+    trashDays: 30, // deleted cards and decks can be restored for this long
+    shortcuts: {}, // study shortcuts changed from the defaults: { [action]: key }, "" = off
+    reminders: false, // daily study reminder
+    reminderTime: "19:00",
+    savedFilters: [], // saved search queries: [{ id, name, query }]
+    collapsedDecks: [] // deck ids folded in the deck tree
   };
   try {
     return { ...d, ...(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {}) };
@@ -107,40 +190,77 @@ function toCSV(rows) {
 }
 
 /** --------------------------
- *  SRS (simple spaced repetition)
- *  grade: "again" | "good" | "easy"
+ *  SRS (pluggable schedulers, see scheduler.js)
+ *  grade: "again" | "hard" | "good" | "easy"
  *  -------------------------- */
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
-function applySRS(card, grade) {
-  const s = card.srs;
-  const now = Date.now();
+function schedulerOpts() {
+  return { now: Date.now(), steps: parseSteps(settings.learningSteps) };
+}
+function applySRS(s, grade) {
+  const next = nextState(getScheduler(settings.scheduler), s, grade, schedulerOpts());
+  // Replace in place: graduating drops the learning-step fields.
+  for (const k of Object.keys(s)) delete s[k];
+  Object.assign(s, next);
+}
 
-  // Values chosen to feel reasonable without being “too Anki”.
-  if (grade === "again") {
-    s.lapses += 1;
-    s.reps = 0;
-    s.ease = clamp(s.ease - 0.20, 1.3, 3.0);
-    s.intervalDays = 0.25; // ~6 hours
-    s.due = now + s.intervalDays * 24*60*60*1000;
-    return;
-  }
+/** --------------------------
+ *  Daily limits
+ *  Counters reset at local midnight.
+ *  -------------------------- */
+const DAILY_KEY = "gfc_daily_v1";
+function loadDaily() {
+  try {
+    const d = JSON.parse(localStorage.getItem(DAILY_KEY));
+    if (d && d.day === dayKey()) return d;
+  } catch { /* fall through to a fresh day */ }
+  return { day: dayKey(), newDone: 0, reviewsDone: 0 };
+}
+function saveDaily(d) {
+  localStorage.setItem(DAILY_KEY, JSON.stringify(d));
+}
+function dailyLeft() {
+  const d = loadDaily();
+  return {
+    newLeft: Math.max(0, settings.newPerDay - d.newDone),
+    reviewsLeft: Math.max(0, settings.reviewsPerDay - d.reviewsDone)
+  };
+}
+// Learning-step repeats count towards neither limit.
+function countAnswer(before) {
+  const d = loadDaily();
+  if (isNewState(before)) d.newDone += 1;
+  else if (!isLearning(before)) d.reviewsDone += 1;
+  saveDaily(d);
+}
 
-  if (grade === "good") {
-    s.ease = clamp(s.ease + 0.05, 1.3, 3.0);
-    if (s.reps === 0) s.intervalDays = 1;
-    else s.intervalDays = Math.max(1, s.intervalDays * s.ease);
-    s.reps += 1;
-    s.due = now + s.intervalDays * 24*60*60*1000;
-    return;
-  }
+// Tracks: card.srs is the main vocabulary schedule, which is production
+// (EN→DE). Recognition (DE→EN) and skills that develop on their own
+// (plurals, …) are scheduled separately in card.srsTracks[track].
+const TRACK_LABELS = {
+  main: "EN→DE", recognition: "DE→EN", plural: "plural", verb: "verb forms", cloze: "cloze", listening: "listening",
+  ...Object.fromEntries(CASES.map(c => [`case:${c.id}`, c.label]))
+};
+function trackSRS(card, track) {
+  if (track === "main") return card.srs;
+  return card.srsTracks?.[track] ?? { ...defaultSRS(), due: card.createdAt ?? 0 };
+}
+function ensureTrackSRS(card, track) {
+  if (track === "main") return card.srs;
+  card.srsTracks ??= {};
+  card.srsTracks[track] ??= defaultSRS();
+  return card.srsTracks[track];
+}
 
-  if (grade === "easy") {
-    s.ease = clamp(s.ease + 0.15, 1.3, 3.0);
-    if (s.reps === 0) s.intervalDays = 2;
-    else s.intervalDays = Math.max(2, s.intervalDays * s.ease * 1.3);
-    s.reps += 1;
-    s.due = now + s.intervalDays * 24*60*60*1000;
-  }
+// Directions studied in flashcard mode, from the "front side" setting.
+function directionTracks() {
+  if (settings.front === "both") return ["main", "recognition"];
+  return settings.front === "german" ? ["recognition"] : ["main"];
+}
+
+// A card that keeps lapsing needs rewording, a mnemonic, or splitting.
+function isLeech(card) {
+  return (card.srs?.lapses ?? 0) >= settings.leechThreshold;
 }
 
 /** --------------------------
@@ -150,18 +270,57 @@ let db;
 let decks = [];
 let selectedDeckId = null;
 let selectedDeckCards = [];
+let selectedTreeCards = []; // selected deck plus its subdecks, for study stats
 let study = {
   active: false,
-  mode: "flash", // flash | gender
+  session: 0, // bumped by beginSession; undo only rewinds the session it came from
+  mode: "flash", // flash | gender | typed | plural | verb | case | cloze | choice | listen
   deckId: null,
   goal: 20,
   done: 0,
-  queue: [],
+  queue: [], // { card, track }
+  pool: [], // the cards the session was drawn from (multiple-choice distractors)
+  learning: [], // items waiting on a learning step, soonest first
   current: null,
   flipped: false,
   genderAnswered: false,
-  genderCorrect: false
+  genderCorrect: false,
+  reschedule: true, // false in custom sessions that shouldn't move due dates
+  typed: null, // checkTypedAnswer() result + suggested grade, once checked
+  verbPart: null, // VERB_PARTS entry asked in verb mode
+  declension: null, // makeQuestion() result in declension mode
+  cloze: null, // clozeItem() result in cloze mode
+  choice: null, // { options: [{ text, correct }], picked, grade } in multiple-choice mode
+  listen: null // { text } being dictated in listening mode
+};
+
+const MODE_LABELS = { flash: "Flashcards", gender: "Gender quiz", typed: "Type answer", plural: "Plural quiz", verb: "Verb forms", case: "Declension", cloze: "Cloze", choice: "Multiple choice", listen: "Listening" };
+// Modes that train a separate skill get their own schedule; the rest use "main".
+const MODE_TRACKS = { plural: "plural", verb: "verb", listen: "listening" };
+// Modes answered by typing (or picking) a form, then Check.
+const TYPED_MODES = ["typed", "plural", "verb", "case", "cloze", "listen"];
+// Modes that only make sense for some cards.
+const MODE_FILTERS = {
+  gender: { test: c => c.type !== "verb", empty: "No nouns in that deck yet." },
+  plural: { test: c => barePlural(c.plural), empty: "No cards in that deck have a plural yet." },
+  verb: { test: c => verbParts(c).length > 0, empty: "No verb cards with forms in that deck yet." },
+  case: { test: canDecline, empty: "No nouns with der/die/das in that deck yet." },
+  cloze: { test: c => clozeTracks(c).length > 0, empty: "No example sentences in that deck contain their word or {{c1::…}} gaps." },
+  listen: { test: c => settings.listenSource !== "example" || !!c.example, empty: "No cards in that deck have an example sentence." }
 };
+const GRADE_BUTTONS = { again: "#btnAgain", hard: "#btnHard", good: "#btnGood", easy: "#btnEasy" };
+
+function resetCardState() {
+  study.flipped = false;
+  study.genderAnswered = false;
+  study.genderCorrect = false;
+  study.typed = null;
+  study.verbPart = null;
+  study.declension = null;
+  study.cloze = null;
+  study.choice = null;
+  study.listen = null;
+}
 
 /** --------------------------
  *  Tabs
@@ -171,11 +330,70 @@ function setTab(name) {
   $$(".panel").forEach(p => p.classList.toggle("active", p.id === `tab-${name}`));
 }
 
+/** --------------------------
+ *  Deck tree
+ *  Decks nest through parentId. In CSV files and the "new deck" box a
+ *  nested deck is written as a path: "A1::Nouns::Household".
+ *  -------------------------- */
+const DECK_SEP = "::";
+
+function splitDeckPath(path) {
+  return (path || "").split(DECK_SEP).map(s => s.trim()).filter(Boolean);
+}
+
+// A deck whose parent is gone sits at the top level.
+function parentOf(deck) {
+  return decks.some(d => d.id === deck.parentId) ? deck.parentId : null;
+}
+
+function childDecks(parentId) {
+  return decks.filter(d => parentOf(d) === parentId);
+}
+
+// Depth-first, children sorted by name: [{ deck, depth }].
+function deckTree(parentId = null, depth = 0, out = []) {
+  for (const deck of childDecks(parentId)) {
+    out.push({ deck, depth });
+    deckTree(deck.id, depth + 1, out);
+  }
+  return out;
+}
+
+function deckPath(deckId, sep = " › ") {
+  const names = [];
+  const seen = new Set();
+  let d = decks.find(x => x.id === deckId);
+  while (d && !seen.has(d.id)) {
+    seen.add(d.id);
+    names.unshift(d.name);
+    d = decks.find(x => x.id === parentOf(d));
+  }
+  return names.join(sep);
+}
+
+function findChildDeck(parentId, name) {
+  return childDecks(parentId).find(d => d.name.toLowerCase() === name.toLowerCase());
+}
+
+// Creates whatever part of "A1::Nouns::Household" doesn't exist yet and
+// returns the id of the last deck.
+async function ensureDeckPath(path, parentId = null) {
+  for (const name of splitDeckPath(path)) {
+    let deck = findChildDeck(parentId, name);
+    if (!deck) {
+      deck = await addDeck(db, name, parentId);
+      decks.push(deck);
+    }
+    parentId = deck.id;
+  }
+  return parentId;
+}
+
 /** --------------------------
  *  Render: deck selects
  *  -------------------------- */
 function renderDeckSelects() {
-  const selects = [$("#studyDeckSelect"), $("#importDeckSelect"), $("#exportDeckSelect")];
+  const selects = [$("#studyDeckSelect"), $("#importDeckSelect"), $("#exportDeckSelect"), $("#bulkDeck")];
   for (const sel of selects) {
     sel.innerHTML = "";
     if (decks.length === 0) {
@@ -186,10 +404,10 @@ function renderDeckSelects() {
       sel.disabled = true;
     } else {
       sel.disabled = false;
-      for (const d of decks) {
+      for (const { deck, depth } of deckTree()) {
         const opt = document.createElement("option");
-        opt.value = d.id;
-        opt.textContent = d.name;
+        opt.value = deck.id;
+        opt.textContent = "\u00a0\u00a0\u00a0".repeat(depth) + deck.name;
         sel.appendChild(opt);
       }
     }
@@ -213,50 +431,95 @@ async function renderDeckList() {
     return;
   }
 
-  for (const d of decks) {
-    // Count cards quickly by reading index for each deck (small-scale acceptable).
-    const cards = await getCardsByDeck(db, d.id);
-    const due = cards.filter(c => (c.srs?.due ?? 0) <= Date.now()).length;
+  // One read for all cards; each deck's counts include its subdecks.
+  const byDeck = new Map();
+  for (const c of await getAllCards(db)) {
+    if (!byDeck.has(c.deckId)) byDeck.set(c.deckId, []);
+    byDeck.get(c.deckId).push(c);
+  }
+  const tracks = directionTracks();
+  const collapsed = new Set(settings.collapsedDecks);
+  let foldedAt = Infinity; // depth of the folded deck whose subdecks are hidden
+
+  for (const { deck: d, depth } of deckTree()) {
+    if (depth > foldedAt) continue;
+    foldedAt = Infinity;
+
+    const subIds = descendantDeckIds(decks, d.id);
+    const cards = subIds.flatMap(id => byDeck.get(id) || []);
+    const due = countDue(cards, tracks);
+    const leeches = cards.filter(isLeech).length;
+    const hasChildren = subIds.length > 1;
+    const isCollapsed = hasChildren && collapsed.has(d.id);
+    if (isCollapsed) foldedAt = depth;
 
     const el = document.createElement("div");
     el.className = "item";
+    el.style.marginLeft = `${depth * 1.2}rem`;
     el.innerHTML = `
       <div>
-        <div class="title">${escapeHtml(d.name)}</div>
-        <div class="meta">${cards.length} cards • ${due} due</div>
+        <div class="title">${hasChildren
+          ? `<button class="fold" data-action="fold" aria-expanded="${!isCollapsed}" title="${isCollapsed ? "Expand" : "Collapse"}">${isCollapsed ? "▸" : "▾"}</button> `
+          : ""}${escapeHtml(d.name)}</div>
+        <div class="meta">${cards.length} cards • ${due} due${leeches ? ` • ${leeches} leeches` : ""}${hasChildren ? ` • ${subIds.length - 1} subdeck${subIds.length > 2 ? "s" : ""}` : ""}</div>
       </div>
       <div class="actions">
         <button class="btn" data-action="select">Select</button>
+        <button class="btn" data-action="subdeck">+ Subdeck</button>
         <button class="btn" data-action="rename">Rename</button>
         <button class="btn danger" data-action="delete">Delete</button>
       </div>
     `;
+    const fold = el.querySelector('[data-action="fold"]');
+    if (fold) fold.onclick = () => {
+      if (collapsed.has(d.id)) collapsed.delete(d.id);
+      else collapsed.add(d.id);
+      settings.collapsedDecks = [...collapsed];
+      saveSettings(settings);
+      renderDeckList();
+    };
+
     el.querySelector('[data-action="select"]').onclick = async () => {
       selectedDeckId = d.id;
       await loadCardsForSelectedDeck();
-      setStatus(`Selected deck: ${d.name}`);
+      setStatus(`Selected deck: ${deckPath(d.id)}`);
       renderDeckSelects();
     };
 
+    el.querySelector('[data-action="subdeck"]').onclick = async () => {
+      const name = prompt(`New subdeck of "${d.name}":`);
+      if (!name || !splitDeckPath(name).length) return;
+      await ensureDeckPath(name, d.id);
+      if (collapsed.has(d.id)) {
+        settings.collapsedDecks = settings.collapsedDecks.filter(id => id !== d.id);
+        saveSettings(settings);
+      }
+      await refreshDecks();
+      setStatus("Subdeck added.");
+    };
+
     el.querySelector('[data-action="rename"]').onclick = async () => {
       const name = prompt("Rename deck:", d.name);
       if (!name || !name.trim()) return;
+      if (name.includes(DECK_SEP)) { alert(`Deck names can't contain "${DECK_SEP}". Use + Subdeck to nest decks.`); return; }
       await updateDeck(db, d.id, name);
       await refreshDecks();
       setStatus("Deck renamed.");
     };
 
     el.querySelector('[data-action="delete"]').onclick = async () => {
-      const ok = confirm(`Delete deck "${d.name}" and all its cards?`);
+      const subs = subIds.length - 1;
+      const ok = confirm(`Delete deck "${d.name}"${subs ? ` with its ${subs} subdeck${subs > 1 ? "s" : ""}` : ""} and all their cards?`);
       if (!ok) return;
-      await deleteDeck(db, d.id);
-      if (selectedDeckId === d.id) {
+      const trashId = await deleteDeck(db, d.id);
+      if (subIds.includes(selectedDeckId)) {
         selectedDeckId = null;
         selectedDeckCards = [];
+        selectedTreeCards = [];
       }
       await refreshDecks();
       await loadCardsForSelectedDeck();
-      setStatus("Deck deleted.");
+      pushDeleteUndo(trashId, "deck", `Deck "${d.name}" deleted.`);
     };
 
     wrap.appendChild(el);
@@ -270,55 +533,64 @@ async function loadCardsForSelectedDeck() {
   const title = $("#cardsTitle");
   const area = $("#cardsArea");
   const none = $("#noDeckSelected");
+  germanIndex = null;
 
   if (!selectedDeckId) {
     title.textContent = "Cards";
     area.classList.add("hidden");
     none.classList.remove("hidden");
     $("#cardList").innerHTML = "";
+    bulk.ids.clear();
     return;
   }
-  const deck = decks.find(d => d.id === selectedDeckId);
-  title.textContent = `Cards • ${deck ? deck.name : ""}`;
+  title.textContent = `Cards • ${deckPath(selectedDeckId)}`;
   none.classList.add("hidden");
   area.classList.remove("hidden");
 
   selectedDeckCards = await getCardsByDeck(db, selectedDeckId);
+  for (const id of bulk.ids) if (!selectedDeckCards.some(c => c.id === id)) bulk.ids.delete(id);
+  const subIds = descendantDeckIds(decks, selectedDeckId);
+  selectedTreeCards = subIds.length > 1 ? await getCardsByDecks(db, subIds) : selectedDeckCards;
   renderCardList();
   renderStudyStats();
 }
 
+// Cards in the selected deck that pass the search box (a query, see
+// query.js) and leech filter.
+function matchingCards() {
+  const { terms } = parseQuery($("#cardSearch").value);
+  const leechOnly = $("#leechOnly").checked;
+  const ctx = queryContext();
+  return selectedDeckCards.filter(c => (!leechOnly || isLeech(c)) && matchesQuery(c, terms, ctx));
+}
+
 function renderCardList() {
   const list = $("#cardList");
-  const q = ($("#cardSearch").value || "").toLowerCase().trim();
+  const q = ($("#cardSearch").value || "").trim();
+  const leechOnly = $("#leechOnly").checked;
   list.innerHTML = "";
+  renderBulkBar();
 
-  const cards = selectedDeckCards.filter(c => {
-    if (!q) return true;
-    return (
-      c.english.toLowerCase().includes(q) ||
-      c.german.toLowerCase().includes(q) ||
-      (c.article || "").toLowerCase().includes(q) ||
-      (c.example || "").toLowerCase().includes(q) ||
-      (c.notes || "").toLowerCase().includes(q)
-    );
-  });
+  const cards = matchingCards();
 
   if (cards.length === 0) {
-    list.innerHTML = `<div class="empty">${q ? "No matches." : "No cards yet. Add one above."}</div>`;
+    const empty = leechOnly ? "No leeches in this deck." : q ? "No matches." : "No cards yet. Add one above.";
+    list.innerHTML = `<div class="empty">${empty}</div>`;
     return;
   }
 
   for (const c of cards) {
-    const due = (c.srs?.due ?? 0) <= Date.now();
+    const due = countDue([c], directionTracks()) > 0;
     const el = document.createElement("div");
     el.className = "item";
     el.innerHTML = `
-      <div style="min-width:0">
+      ${bulk.active ? `<input type="checkbox" class="pick" data-action="pick" aria-label="Select card" ${bulk.ids.has(c.id) ? "checked" : ""} />` : ""}
+      <div style="min-width:0;flex:1">
         <div class="title">${escapeHtml(c.english)}</div>
         <div class="meta">
-          ${escapeHtml([c.article, c.german].filter(Boolean).join(" "))}${c.plural ? " • Pl: " + escapeHtml(c.plural) : ""}
-          ${due ? " • ✅ due" : ""}
+          ${c.type === "verb" ? escapeHtml(verbForms(c)) : escapeHtml([c.article, c.german].filter(Boolean).join(" "))}${c.plural ? " • Pl: " + escapeHtml(c.plural) : ""}
+          ${due ? " • ✅ due" : ""}${isLeech(c) ? ` • 🩹 leech (${c.srs.lapses} lapses)` : ""}
+          ${(c.tags || []).map(t => `<span class="tag">${escapeHtml(t)}</span>`).join(" ")}
         </div>
       </div>
       <div class="actions">
@@ -327,34 +599,87 @@ function renderCardList() {
       </div>
     `;
     el.querySelector('[data-action="edit"]').onclick = () => fillCardForm(c);
+    const pick = el.querySelector('[data-action="pick"]');
+    if (pick) pick.onchange = () => {
+      if (pick.checked) bulk.ids.add(c.id);
+      else bulk.ids.delete(c.id);
+      renderBulkBar();
+    };
     el.querySelector('[data-action="delete"]').onclick = async () => {
       const ok = confirm("Delete this card?");
       if (!ok) return;
-      await deleteCard(db, c.id);
+      const trashId = await deleteCard(db, c.id);
       await loadCardsForSelectedDeck();
-      setStatus("Card deleted.");
+      pushDeleteUndo(trashId, "card", `Card "${c.german}" deleted.`);
     };
     list.appendChild(el);
   }
 }
 
+const VERB_INPUTS = { presentDu: "#fPresentDu", presentEr: "#fPresentEr", preterite: "#fPreterite", participle: "#fParticiple", auxiliary: "#fAuxiliary" };
+
+// Shows the grammar fields that fit the chosen card type.
+function syncCardFormType() {
+  const verb = $("#fType").value === "verb";
+  $("#nounFields").classList.toggle("hidden", verb);
+  $("#verbFields").classList.toggle("hidden", !verb);
+  $("#fGerman").placeholder = verb ? "e.g., fahren" : "e.g., Haus";
+}
+
 function fillCardForm(card) {
   $("#cardId").value = card.id;
+  $("#fType").value = card.type || "noun";
   $("#fEnglish").value = card.english;
   $("#fGerman").value = card.german;
   $("#fArticle").value = card.article || "";
   $("#fPlural").value = card.plural || "";
   $("#fExample").value = card.example || "";
   $("#fNotes").value = card.notes || "";
+  $("#fTags").value = (card.tags || []).join(" ");
+  for (const [f, sel] of Object.entries(VERB_INPUTS)) $(sel).value = card[f] || "";
+  syncCardFormType();
+  renderDupWarning();
   setStatus("Editing card — make changes and Save.");
+  renderCardHistory(card);
 }
 function clearCardForm() {
   $("#cardId").value = "";
   $("#cardForm").reset();
   $("#fArticle").value = "";
+  syncCardFormType();
+  $("#cardHistory").classList.add("hidden");
+  $("#dupWarning").classList.add("hidden");
   setStatus("Cleared form.");
 }
 
+async function renderCardHistory(card) {
+  const wrap = $("#cardHistory");
+  const list = $("#cardHistoryList");
+  const reviews = await getReviewsByCard(db, card.id);
+  // The form may have moved on to another card while we were reading.
+  if ($("#cardId").value !== card.id) return;
+
+  wrap.classList.remove("hidden");
+  $("#cardHistorySummary").textContent =
+    `${reviews.length} reviews • ${card.srs.lapses} lapses${isLeech(card) ? " • 🩹 leech" : ""}`;
+  list.innerHTML = "";
+  if (reviews.length === 0) {
+    list.innerHTML = `<div class="empty">Not reviewed yet.</div>`;
+    return;
+  }
+  for (const r of reviews.slice().reverse()) {
+    const el = document.createElement("div");
+    el.className = "item";
+    el.innerHTML = `
+      <div>
+        <div class="title">${escapeHtml(r.grade)}${r.track && r.track !== "main" ? ` <span class="muted small">(${escapeHtml(TRACK_LABELS[r.track] || r.track)})</span>` : ""}</div>
+        <div class="meta">${new Date(r.at).toLocaleString()} • ${formatInterval(r.before.intervalDays)} → ${formatInterval(r.after.intervalDays)}</div>
+      </div>
+    `;
+    list.appendChild(el);
+  }
+}
+
 /** --------------------------
  *  Study: queue + render
  *  -------------------------- */
@@ -364,7 +689,7 @@ function renderStudyStats() {
 
   if (!deckId) { wrap.textContent = "Create a deck and add cards to begin."; return; }
 
-  const deckCards = (deckId === selectedDeckId) ? selectedDeckCards : null;
+  const deckCards = (deckId === selectedDeckId) ? selectedTreeCards : null;
 
   // If the selected deck isn't loaded in cards panel, we’ll estimate by loading quickly when needed.
   if (!deckCards) {
@@ -372,33 +697,78 @@ function renderStudyStats() {
     return;
   }
 
-  const due = deckCards.filter(c => (c.srs?.due ?? 0) <= Date.now()).length;
-  const newCount = deckCards.filter(c => (c.srs?.reps ?? 0) === 0).length;
+  const tracks = directionTracks();
+  const now = Date.now();
+  let due = 0, newCount = 0, reviewsDue = 0;
+  for (const c of deckCards) {
+    for (const t of tracks) {
+      const srs = trackSRS(c, t);
+      if (isNewState(srs)) newCount += 1;
+      if (srs.due > now) continue;
+      due += 1;
+      if (!isNewState(srs) && !isLearning(srs)) reviewsDue += 1;
+    }
+  }
+  const { newLeft, reviewsLeft } = dailyLeft();
 
-  wrap.textContent = `${deckCards.length} cards • ${due} due • ${newCount} new`;
+  wrap.textContent = `${deckCards.length} cards • ${due} due • ${newCount} new\n` +
+    `Today: ${Math.min(newLeft, newCount)} new • ${Math.min(reviewsLeft, reviewsDue)} reviews left`;
 }
 
-function buildStudyQueue(cards, goal) {
+// Returns queue items { card, track }. Every track gets its own due queue;
+// they're merged, shuffled, and the two directions of a card kept apart.
+// New cards and reviews are capped by what's left of today's limits;
+// cards already in learning steps always come along.
+// `tracksFor(card)` lists the tracks to study for each card (see modeTracks).
+function buildStudyQueue(cards, goal, tracksFor = () => ["main"]) {
   const now = Date.now();
-  const due = cards.filter(c => (c.srs?.due ?? 0) <= now);
-  const fresh = cards.filter(c => (c.srs?.reps ?? 0) === 0 && (c.srs?.due ?? 0) <= now);
-  const notDue = cards.filter(c => (c.srs?.due ?? 0) > now);
-
-  // Queue preference: due first (including new), then some not-due if needed.
-  const q = [...due];
-  if (q.length < goal) {
-    // add unseen/new not already in due (rare but possible) then notDue
-    const add = [...fresh, ...notDue].filter(c => !q.some(x => x.id === c.id));
-    q.push(...add);
+  const fresh = [], learning = [], reviews = [];
+  for (const item of studyItems(cards, tracksFor)) {
+    const srs = trackSRS(item.card, item.track);
+    if (srs.due > now) continue;
+    if (isNewState(srs)) fresh.push(item);
+    else if (isLearning(srs)) learning.push(item);
+    else reviews.push(item);
   }
 
+  const { newLeft, reviewsLeft } = dailyLeft();
+  const q = [...learning, ...shuffle(reviews).slice(0, reviewsLeft), ...shuffle(fresh).slice(0, newLeft)].slice(0, goal);
+
   // Shuffle lightly so it doesn’t feel repetitive.
-  for (let i=q.length-1; i>0; i--) {
+  shuffle(q);
+  return spreadSiblings(q);
+}
+
+// Cards that aren't due yet, for practising ahead once today's work is done.
+function buildAheadQueue(cards, goal, tracksFor) {
+  const now = Date.now();
+  const q = studyItems(cards, tracksFor).filter(({ card, track }) => trackSRS(card, track).due > now);
+  q.sort((a, b) => trackSRS(a.card, a.track).due - trackSRS(b.card, b.track).due);
+  return spreadSiblings(shuffle(q.slice(0, goal)));
+}
+
+function studyItems(cards, tracksFor) {
+  return cards.flatMap(card => tracksFor(card).map(track => ({ card, track })));
+}
+
+function shuffle(a) {
+  for (let i=a.length-1; i>0; i--) {
     const j = Math.floor(Math.random() * (i+1));
-    [q[i], q[j]] = [q[j], q[i]];
+    [a[i], a[j]] = [a[j], a[i]];
   }
+  return a;
+}
 
-  return q.slice(0, goal);
+// Moves items so the same card never comes up twice in a row (e.g. EN→DE
+// straight after DE→EN). Best effort: a queue of one card can't be spread.
+function spreadSiblings(q) {
+  const id = (k) => q[k]?.card.id;
+  for (let i = 1; i < q.length; i++) {
+    if (id(i) !== id(i-1)) continue;
+    const j = q.findIndex((_, k) => k > i+1 && id(k) !== id(i) && id(k-1) !== id(i) && id(k+1) !== id(i));
+    if (j > 0) [q[i], q[j]] = [q[j], q[i]];
+  }
+  return q;
 }
 
 function setStudyVisible(active) {
@@ -406,14 +776,27 @@ function setStudyVisible(active) {
   $("#studyArea").classList.toggle("hidden", !active);
 }
 
+// Every change to the study state ends in a render, so this is also where
+// the session is saved for resuming.
 function renderCurrentCard() {
-  const c = study.current;
+  drawCurrentCard();
+  saveSession();
+}
+
+function drawCurrentCard() {
+  const c = study.current?.card;
   if (!c) return;
 
-  $("#pillMode").textContent = study.mode === "flash" ? "Flashcards" : "Gender quiz";
+  $("#pillMode").textContent = MODE_LABELS[study.mode];
   $("#pillProgress").textContent = `${study.done} / ${study.goal}`;
 
   $("#genderResult").textContent = "";
+  $("#typedArea").classList.toggle("hidden", !TYPED_MODES.includes(study.mode));
+  $("#pluralChoices").classList.toggle("hidden", !["plural", "verb", "case", "cloze"].includes(study.mode));
+  $("#mcChoices").classList.toggle("hidden", study.mode !== "choice");
+  $("#listenControls").classList.toggle("hidden", study.mode !== "listen");
+  for (const sel of Object.values(GRADE_BUTTONS)) $(sel).classList.remove("suggested");
+  renderIntervalPreviews();
 
   const face = $("#cardFace");
   const meta = $("#cardMeta");
@@ -422,22 +805,91 @@ function renderCurrentCard() {
     $("#genderChoices").classList.add("hidden");
     $("#btnShowAnswer").textContent = study.flipped ? "Hide / Flip" : "Show / Flip";
 
-    const frontIsEnglish = settings.front === "english";
+    const frontIsEnglish = study.current.track === "main";
     if (!study.flipped) {
       face.textContent = frontIsEnglish ? c.english : [c.article, c.german].filter(Boolean).join(" ");
-      meta.textContent = frontIsEnglish ? "" : (c.english || "");
+      meta.textContent = "";
     } else {
       face.textContent = frontIsEnglish ? [c.article, c.german].filter(Boolean).join(" ") : c.english;
 
       const lines = [];
       if (c.plural) lines.push(`Plural: ${c.plural}`);
-      if (c.example) lines.push(`Example: ${c.example}`);
+      if (c.type === "verb") lines.push(`Forms: ${verbForms(c)}`);
+      if (c.example) lines.push(`Example: ${stripCloze(c.example)}`);
       if (c.notes) lines.push(`Notes: ${c.notes}`);
       meta.textContent = lines.join("\n");
     }
     return;
   }
 
+  if (study.mode === "typed") {
+    $("#genderChoices").classList.add("hidden");
+    $("#btnShowAnswer").textContent = "Check";
+    face.textContent = c.english;
+    renderTypedResult(c);
+    return;
+  }
+
+  if (study.mode === "plural") {
+    $("#genderChoices").classList.add("hidden");
+    $("#btnShowAnswer").textContent = "Check";
+    face.textContent = [c.article, c.german].filter(Boolean).join(" ");
+    renderPluralChoices(c);
+    renderTypedResult(c);
+    return;
+  }
+
+  if (study.mode === "verb") {
+    $("#genderChoices").classList.add("hidden");
+    $("#btnShowAnswer").textContent = "Check";
+    study.verbPart ??= pickVerbPart(c);
+    face.textContent = study.verbPart.prompt(c);
+    renderVerbChoices();
+    renderTypedResult(c);
+    return;
+  }
+
+  if (study.mode === "case") {
+    $("#genderChoices").classList.add("hidden");
+    $("#btnShowAnswer").textContent = "Check";
+    study.declension ??= makeQuestion(c, study.current.track.slice("case:".length), {
+      adjectives: settings.caseAdjectives,
+      plural: barePlural(c.plural)
+    });
+    face.textContent = study.declension.prompt;
+    renderCaseChoices();
+    renderTypedResult(c);
+    return;
+  }
+
+  if (study.mode === "choice") {
+    $("#genderChoices").classList.add("hidden");
+    renderChoice(c);
+    return;
+  }
+
+  if (study.mode === "listen") {
+    $("#genderChoices").classList.add("hidden");
+    $("#btnShowAnswer").textContent = "Check";
+    face.textContent = "🎧";
+    if (!study.listen) {
+      study.listen = { text: listenText(c) };
+      speakText(study.listen.text);
+    }
+    renderTypedResult(c);
+    return;
+  }
+
+  if (study.mode === "cloze") {
+    $("#genderChoices").classList.add("hidden");
+    $("#btnShowAnswer").textContent = "Check";
+    study.cloze ??= clozeItem(c, study.current.track);
+    face.textContent = study.cloze.text;
+    renderClozeChoices();
+    renderTypedResult(c);
+    return;
+  }
+
   // Gender quiz mode:
   $("#genderChoices").classList.remove("hidden");
   $("#btnShowAnswer").textContent = "Reveal";
@@ -458,223 +910,1924 @@ function renderCurrentCard() {
   }
 }
 
+// Shows what each grade would do, e.g. "Good · 3d".
+function renderIntervalPreviews() {
+  const { card, track } = study.current;
+  const preview = previewNext(getScheduler(settings.scheduler), trackSRS(card, track), schedulerOpts());
+  for (const [grade, sel] of Object.entries(GRADE_BUTTONS)) {
+    $(`${sel} .ivl`).textContent = study.reschedule ? formatInterval(preview[grade]) : "";
+  }
+}
+
 /** --------------------------
- *  TTS
+ *  Typed answer: check + render
  *  -------------------------- */
-let voiceCache = [];
-function refreshVoices() {
-  voiceCache = speechSynthesis?.getVoices?.() || [];
-  const sel = $("#ttsVoice");
-  sel.innerHTML = "";
-  const opt0 = document.createElement("option");
-  opt0.value = "";
-  opt0.textContent = "Auto (preferred German if available)";
-  sel.appendChild(opt0);
+function suggestGrade(check) {
+  if (check.word === "wrong" || check.article === "wrong") return "again";
+  if (check.word === "typo") return "hard";
+  if (check.word === "exact" && check.article !== "omitted") return "easy";
+  return "good";
+}
 
-  for (const v of voiceCache) {
-    const opt = document.createElement("option");
-    opt.value = v.voiceURI;
-    opt.textContent = `${v.name} • ${v.lang}${v.default ? " (default)" : ""}`;
-    sel.appendChild(opt);
-  }
-  sel.value = settings.ttsVoiceURI || "";
+function diffHtml(runs) {
+  return runs.map(r => r.type === "same"
+    ? escapeHtml(r.text)
+    : `<span class="diff-${r.type}">${escapeHtml(r.text)}</span>`).join("");
 }
 
-function speakGerman(card) {
-  if (!("speechSynthesis" in window)) {
-    setStatus("Text-to-speech not supported in this browser.");
+function renderTypedResult(c) {
+  const input = $("#typedAnswer");
+  const t = study.typed;
+
+  const plural = study.mode === "plural";
+  const part = study.mode === "verb" ? study.verbPart : null;
+  const q = study.mode === "case" ? study.declension : null;
+
+  if (q) {
+    renderDeclensionResult(c, q, t);
+    return;
+  }
+  if (study.mode === "cloze") {
+    renderClozeResult(c, study.cloze, t);
+    return;
+  }
+  if (study.mode === "listen") {
+    renderListenResult(c, study.listen, t);
     return;
   }
-  const text = [card.article, card.german].filter(Boolean).join(" ");
-  if (!text.trim()) return;
 
-  const u = new SpeechSynthesisUtterance(text);
-  // choose voice
-  const wanted = settings.ttsVoiceURI && voiceCache.find(v => v.voiceURI === settings.ttsVoiceURI);
-  if (wanted) {
-    u.voice = wanted;
+  if (!t) {
+    input.value = "";
+    input.disabled = false;
+    input.placeholder = part ? part.placeholder : plural ? "e.g., Häuser" : "e.g., das Haus";
+    input.focus();
+    $("#typedDiff").innerHTML = "";
+    $("#cardMeta").textContent = part
+      ? `${c.english ? `Meaning: ${c.english}\n` : ""}${part.hint}`
+      : plural
+      ? `${c.english ? `Meaning: ${c.english}\n` : ""}Type the plural, or pick a pattern.`
+      : c.article ? "Type the German word (article optional)." : "Type the German word.";
+    return;
+  }
+
+  input.disabled = true;
+  $("#typedDiff").innerHTML = diffHtml(t.diff);
+  if (part) {
+    $("#cardMeta").textContent = `${part.label}: ${c[part.field]}\nForms: ${verbForms(c)}`;
+  } else if (plural) {
+    const pattern = matchPluralPattern(c.german, c.plural);
+    $("#cardMeta").textContent = `Plural: die ${barePlural(c.plural)}${pattern ? ` (${pattern.label})` : " (irregular)"}`;
   } else {
-    const german = voiceCache.find(v => /^de(-|_)/i.test(v.lang)) || voiceCache.find(v => v.lang === "de-DE");
-    if (german) u.voice = german;
+    $("#cardMeta").textContent = `Answer: ${[c.article, c.german].filter(Boolean).join(" ")}`;
   }
-  u.lang = (u.voice && u.voice.lang) ? u.voice.lang : "de-DE";
-  u.rate = 0.95;
-  speechSynthesis.cancel();
-  speechSynthesis.speak(u);
+
+  const word = {
+    exact: plural || part ? "✅ Correct." : "✅ Word correct.",
+    umlaut: "≈ Nearly right — use ä/ö/ü/ß.",
+    typo: "≈ Close — small spelling slip.",
+    wrong: "❌ Word not quite."
+  }[t.word];
+  const article = {
+    ok: " ✅ Article correct.",
+    wrong: ` ❌ Wrong article — it's "${c.article}".`,
+    omitted: ` (Article: ${c.article})`,
+    "n/a": ""
+  }[t.article];
+  $("#genderResult").textContent = word + article;
+  $(GRADE_BUTTONS[t.grade]).classList.add("suggested");
 }
 
-/** --------------------------
- *  Main actions
- *  -------------------------- */
-async function refreshDecks() {
-  decks = await getAllDecks(db);
-  renderDeckSelects();
-  await renderDeckList();
+// `picked` is set when the answer came from a plural pattern button;
+// recognising the right form is easier than producing it, so it caps at Good.
+function checkTyped(answer = $("#typedAnswer").value, picked = false) {
+  if (!study.active || !study.current || study.typed) return;
+  if (!TYPED_MODES.includes(study.mode)) return;
+
+  const c = study.current.card;
+  const result = study.mode === "plural"
+    ? checkTypedAnswer({ article: "", german: barePlural(c.plural) }, barePlural(answer))
+    : study.mode === "verb"
+    ? checkVerbPart(c, study.verbPart, answer)
+    : study.mode === "case"
+    ? checkDeclension(study.declension, answer)
+    : study.mode === "cloze"
+    ? checkTypedAnswer({ article: "", german: study.cloze.answer }, answer)
+    : study.mode === "listen"
+    ? checkTypedAnswer({ article: "", german: dictationText(study.listen.text) }, dictationText(answer))
+    : checkTypedAnswer(c, answer);
+  const exactOnly = picked || study.mode === "case";
+  const grade = exactOnly ? (result.word === "exact" ? "good" : "again") : suggestGrade(result);
+  study.typed = { ...result, grade };
+  renderCurrentCard();
 }
 
-async function ensureStarterDeck() {
-  decks = await getAllDecks(db);
-  if (decks.length === 0) {
-    const d = await addDeck(db, "Starter");
-    await addCard(db, d.id, {
-      english: "the house",
-      german: "Haus",
-      article: "das",
-      plural: "Häuser",
-      example: "Das Haus ist groß.",
-      notes: "Plural changes vowel (Umlaut)."
-    });
-    decks = await getAllDecks(db);
+function renderPluralChoices(c) {
+  const wrap = $("#pluralChoices");
+  wrap.innerHTML = "";
+  for (const { pattern, form } of pluralCandidates(c.german)) {
+    const b = document.createElement("button");
+    b.className = "btn";
+    b.type = "button";
+    b.textContent = pattern.label;
+    b.title = form;
+    b.disabled = !!study.typed;
+    b.onclick = () => checkTyped(form, true);
+    wrap.appendChild(b);
   }
 }
 
-async function startSession() {
-  const deckId = $("#studyDeckSelect").value;
-  if (!deckId) { alert("Create/select a deck first."); return; }
+/** --------------------------
+ *  Verb forms drill
+ *  Each question asks for one principal part, picked at random from the
+ *  forms the card has; all of them share the card's "verb" schedule.
+ *  -------------------------- */
+const VERB_PARTS = [
+  { field: "presentDu", label: "Present (du)", placeholder: "e.g., fährst",
+    prompt: c => `du ___ (${c.german})`, hint: "Type the du form." },
+  { field: "presentEr", label: "Present (er/sie/es)", placeholder: "e.g., fährt",
+    prompt: c => `er/sie/es ___ (${c.german})`, hint: "Type the er/sie/es form." },
+  { field: "preterite", label: "Präteritum", placeholder: "e.g., fuhr",
+    prompt: c => `Präteritum: er/sie/es ___ (${c.german})`, hint: "Type the Präteritum (er/sie/es)." },
+  { field: "participle", label: "Partizip II", placeholder: "e.g., gefahren",
+    prompt: c => `Partizip II: ${c.german} → ___`, hint: "Type the Partizip II." },
+  { field: "auxiliary", label: "Auxiliary", placeholder: "haben / sein",
+    prompt: c => `Perfekt: er/sie/es ___ ${c.participle || `(${c.german})`}`, hint: "haben or sein?" }
+];
+const AUX_FORMS = { hat: "haben", ist: "sein" };
+
+function verbParts(card) {
+  if (card.type !== "verb") return [];
+  return VERB_PARTS.filter(p => (card[p.field] || "").trim());
+}
 
-  const goal = clamp(parseInt($("#sessionGoal").value || "20", 10), 5, 200);
-  const cards = await getCardsByDeck(db, deckId);
-  if (cards.length === 0) { alert("That deck has no cards."); return; }
+function pickVerbPart(card) {
+  const parts = verbParts(card);
+  return parts[Math.floor(Math.random() * parts.length)];
+}
 
-  study.active = true;
-  study.mode = $("#modeGender").classList.contains("active") ? "gender" : "flash";
-  study.deckId = deckId;
-  study.goal = Math.min(goal, cards.length);
-  study.done = 0;
-  study.queue = buildStudyQueue(cards, study.goal);
-  study.current = study.queue.shift();
-  study.flipped = false;
-  study.genderAnswered = false;
-  study.genderCorrect = false;
+// "fahren – er fährt – fuhr – ist gefahren"
+function verbForms(c) {
+  const perfect = [{ haben: "hat", sein: "ist" }[c.auxiliary], c.participle].filter(Boolean).join(" ");
+  return [c.german, c.presentEr && `er ${c.presentEr}`, c.preterite, c.participle && perfect]
+    .filter(Boolean).join(" – ");
+}
 
-  setStudyVisible(true);
-  renderCurrentCard();
-  setStatus("Session started.");
+// Accepts "hat"/"ist" for the auxiliary and ignores a typed pronoun.
+function checkVerbPart(card, part, answer) {
+  let given = answer.trim().replace(/^(du|er|sie|es|er\/sie\/es)\s+/i, "");
+  if (part.field === "auxiliary") given = AUX_FORMS[given.toLowerCase()] || given;
+  return checkTypedAnswer({ article: "", german: card[part.field] }, given);
 }
 
-async function gradeCurrent(grade) {
-  if (!study.active || !study.current) return;
+function renderVerbChoices() {
+  const wrap = $("#pluralChoices");
+  wrap.innerHTML = "";
+  if (study.verbPart.field !== "auxiliary") return;
+  for (const aux of ["haben", "sein"]) {
+    const b = document.createElement("button");
+    b.className = "btn";
+    b.type = "button";
+    b.textContent = aux;
+    b.disabled = !!study.typed;
+    b.onclick = () => checkTyped(aux, true);
+    wrap.appendChild(b);
+  }
+}
 
-  // In gender mode, if user hasn’t answered yet, force them to answer first.
-  if (study.mode === "gender" && !study.genderAnswered) {
-    $("#genderResult").textContent = "Pick der/die/das first.";
+/** --------------------------
+ *  Declension drill
+ *  -------------------------- */
+function caseTracks() {
+  const ids = settings.caseFocus ? [settings.caseFocus] : CASES.map(c => c.id);
+  return ids.map(id => `case:${id}`);
+}
+
+function renderDeclensionResult(c, q, t) {
+  const input = $("#typedAnswer");
+  const label = CASES.find(x => x.id === q.caseId).label;
+  const what = `${label} • ${q.plural ? "plural" : "singular"} • ${q.definite ? "definite (der…)" : "indefinite (ein…)"}`;
+
+  if (!t) {
+    input.value = "";
+    input.disabled = false;
+    input.placeholder = settings.caseAdjectives ? "e.g., dem neuen" : "e.g., dem";
+    input.focus();
+    $("#typedDiff").innerHTML = "";
+    $("#cardMeta").textContent = `${what}\n${c.english ? `Meaning: ${c.english}` : ""}`;
     return;
   }
 
-  const c = study.current;
-  applySRS(c, grade);
-  await putCard(db, c);
+  input.disabled = true;
+  $("#typedDiff").innerHTML = diffHtml(t.diff);
+  $("#cardMeta").textContent = `${what}\nAnswer: ${q.answer} • ${c.article} ${c.german}${c.plural ? `, die ${barePlural(c.plural)}` : ""}`;
+  $("#genderResult").textContent = t.word === "exact" ? "✅ Correct." : `❌ Not quite — it's "${q.answer}".`;
+  $(GRADE_BUTTONS[t.grade]).classList.add("suggested");
+}
 
-  study.done += 1;
+function renderCaseChoices() {
+  const wrap = $("#pluralChoices");
+  wrap.innerHTML = "";
+  for (const form of study.declension.choices) {
+    const b = document.createElement("button");
+    b.className = "btn";
+    b.type = "button";
+    b.textContent = form;
+    b.disabled = !!study.typed;
+    b.onclick = () => checkTyped(form, true);
+    wrap.appendChild(b);
+  }
+}
 
-  if (study.done >= study.goal || study.queue.length === 0) {
-    study.active = false;
-    setStudyVisible(false);
-    setStatus("Session complete.");
-    // refresh cards panel if same deck is selected
-    if (selectedDeckId === study.deckId) await loadCardsForSelectedDeck();
+// Share of answers per case that weren't "again", from the review log,
+// so a weak case stands out.
+async function renderCaseStats() {
+  const byCase = new Map(CASES.map(c => [c.id, { total: 0, right: 0 }]));
+  for (const r of await getAllReviews(db)) {
+    const s = r.track?.startsWith("case:") && byCase.get(r.track.slice("case:".length));
+    if (!s) continue;
+    s.total += 1;
+    if (r.grade !== "again") s.right += 1;
+  }
+  const rated = CASES.filter(c => byCase.get(c.id).total > 0);
+  if (rated.length === 0) {
+    $("#caseStats").textContent = "No declension answers yet.";
     return;
   }
-
-  study.current = study.queue.shift();
-  study.flipped = false;
-  study.genderAnswered = false;
-  study.genderCorrect = false;
-  renderCurrentCard();
+  const pct = (id) => Math.round(byCase.get(id).right / byCase.get(id).total * 100);
+  const weakest = rated.reduce((a, b) => pct(b.id) < pct(a.id) ? b : a);
+  $("#caseStats").textContent = CASES.map(c => {
+    const s = byCase.get(c.id);
+    if (!s.total) return `${c.label}: –`;
+    return `${c.label}: ${pct(c.id)}% of ${s.total}${rated.length > 1 && c === weakest ? " ← weakest" : ""}`;
+  }).join("\n");
 }
 
 /** --------------------------
- *  Import / Export
+ *  Cloze
+ *  A card with {{c1::…}} gaps in its example gets a "cloze:c1" track per
+ *  gap id; otherwise, if its word turns up in the example, one "cloze" track.
  *  -------------------------- */
-async function importCSV() {
-  const file = $("#csvFile").files?.[0];
-  if (!file) { $("#importMsg").textContent = "Choose a CSV file first."; return; }
+function clozeForms(card) {
+  return [card.german, barePlural(card.plural), ...VERB_FIELDS.filter(f => f !== "auxiliary").map(f => card[f])];
+}
 
-  const text = await file.text();
-  const rows = parseCSV(text).filter(r => r.some(x => (x || "").trim() !== ""));
-  if (rows.length === 0) { $("#importMsg").textContent = "CSV appears empty."; return; }
+function clozeTracks(card) {
+  const ids = clozeIds(card.example);
+  if (ids.length) return ids.map(id => `cloze:${id}`);
+  return autoCloze(card.example || "", clozeForms(card)) ? ["cloze"] : [];
+}
 
-  // Detect header
-  const header = rows[0].map(h => (h || "").trim().toLowerCase());
-  const hasHeader = header.includes("english") || header.includes("german") || header.includes("deck");
-  const dataRows = hasHeader ? rows.slice(1) : rows;
+// { text, answer, hint, choices } for one cloze track of a card. Choices
+// are the answer plus up to three other cards' words from the session.
+function clozeItem(card, track) {
+  const item = track === "cloze"
+    ? autoCloze(card.example || "", clozeForms(card))
+    : renderCloze(card.example, track.slice("cloze:".length));
+  const others = [...new Set([...study.queue, ...study.learning]
+    .map(i => i.card.german)
+    .filter(w => w && foldGerman(w) !== foldGerman(item.answer)))];
+  const choices = others.length ? shuffle([item.answer, ...shuffle(others).slice(0, 3)]) : [];
+  return { ...item, choices };
+}
+
+function renderClozeResult(c, item, t) {
+  const input = $("#typedAnswer");
+  const lines = [];
+  if (c.english) lines.push(`Meaning: ${c.english}`);
+  if (item.hint) lines.push(`Hint: ${item.hint}`);
+
+  if (!t) {
+    input.value = "";
+    input.disabled = false;
+    input.placeholder = "Fill the gap";
+    input.focus();
+    $("#typedDiff").innerHTML = "";
+    $("#cardMeta").textContent = lines.join("\n");
+    return;
+  }
+
+  input.disabled = true;
+  $("#typedDiff").innerHTML = diffHtml(t.diff);
+  $("#cardMeta").textContent = [`Answer: ${item.answer}`, stripCloze(c.example), ...lines].join("\n");
+  $("#genderResult").textContent = {
+    exact: "✅ Correct.",
+    umlaut: "≈ Nearly right — use ä/ö/ü/ß.",
+    typo: "≈ Close — small spelling slip.",
+    wrong: "❌ Not quite."
+  }[t.word];
+  $(GRADE_BUTTONS[t.grade]).classList.add("suggested");
+}
+
+function renderClozeChoices() {
+  const wrap = $("#pluralChoices");
+  wrap.innerHTML = "";
+  for (const form of study.cloze.choices) {
+    const b = document.createElement("button");
+    b.className = "btn";
+    b.type = "button";
+    b.textContent = form;
+    b.disabled = !!study.typed;
+    b.onclick = () => checkTyped(form, true);
+    wrap.appendChild(b);
+  }
+}
+
+/** --------------------------
+ *  Multiple choice
+ *  The prompt side is the same as in flashcards; the options are the other
+ *  side of this card and of up to three others from the session's deck.
+ *  -------------------------- */
+const germanSide = (c) => [c.article, c.german].filter(Boolean).join(" ");
+// The side of a card shown as an option on each track.
+const optionSide = (track) => track === "main" ? germanSide : (c) => c.english;
+
+// A deck with fewer than four different options on a side the session asks
+// for can't fill the choices by itself, so it borrows from the other decks.
+async function choicePool(mode, cards) {
+  if (mode !== "choice") return cards;
+  const distinct = (side) => new Set(cards.map(c => foldGerman(side(c))).filter(Boolean)).size;
+  if (directionTracks().every(t => distinct(optionSide(t)) >= 4)) return cards;
+  const ids = new Set(cards.map(c => c.id));
+  return [...cards, ...(await getAllCards(db)).filter(c => !ids.has(c.id))];
+}
+
+// Distractors that look like the answer make for a real choice: same
+// article, similar spelling. A little noise keeps them from repeating.
+function choiceOptions(card, track) {
+  const side = optionSide(track);
+  const answer = side(card);
+  const fold = (t) => foldGerman(t).replace(/^(der|die|das) /, "");
+  const similarity = (a, b) => 1 - levenshtein(fold(a), fold(b)) / Math.max(fold(a).length, fold(b).length, 1);
+
+  const seen = new Set([foldGerman(answer)]);
+  const scored = [];
+  for (const c of study.pool) {
+    const text = side(c);
+    if (!text || seen.has(foldGerman(text))) continue;
+    seen.add(foldGerman(text));
+    const sameArticle = track === "main" && card.article && c.article === card.article ? 1 : 0;
+    scored.push({ text, score: sameArticle + similarity(text, answer) + Math.random() * 0.3 });
+  }
+  const picks = scored.sort((a, b) => b.score - a.score).slice(0, 3).map(x => x.text);
+
+  // Small decks: the word with the wrong articles still makes a fair choice.
+  if (track === "main" && card.article) {
+    for (const a of ARTICLES) {
+      const text = `${a} ${card.german}`;
+      if (picks.length < 3 && !seen.has(foldGerman(text))) { picks.push(text); seen.add(foldGerman(text)); }
+    }
+  }
+
+  return shuffle([{ text: answer, correct: true }, ...picks.map(text => ({ text, correct: false }))]);
+}
+
+function renderChoice(c) {
+  const { track } = study.current;
+  study.choice ??= { options: choiceOptions(c, track), picked: null, grade: null };
+  const ch = study.choice;
+
+  $("#cardFace").textContent = track === "main" ? c.english : germanSide(c);
+  $("#btnShowAnswer").textContent = ch.picked == null ? "Don't know" : "Next";
+
+  const wrap = $("#mcChoices");
+  wrap.innerHTML = "";
+  ch.options.forEach((o, i) => {
+    const b = document.createElement("button");
+    b.className = "btn";
+    b.type = "button";
+    b.textContent = o.text;
+    b.disabled = ch.picked != null;
+    if (ch.picked != null && o.correct) b.classList.add("correct");
+    if (ch.picked === i && !o.correct) b.classList.add("wrong");
+    b.onclick = () => pickChoice(i);
+    wrap.appendChild(b);
+  });
+
+  if (ch.picked == null) {
+    $("#cardMeta").textContent = "";
+    return;
+  }
+  const lines = [];
+  if (c.plural) lines.push(`Plural: ${c.plural}`);
+  if (c.example) lines.push(`Example: ${stripCloze(c.example)}`);
+  $("#cardMeta").textContent = lines.join("\n");
+  const answer = ch.options.find(o => o.correct).text;
+  $("#genderResult").textContent = ch.grade === "good" ? "✅ Correct." : `❌ Not quite — it's "${answer}".`;
+  $(GRADE_BUTTONS[ch.grade]).classList.add("suggested");
+}
+
+// A right answer grades Good by itself after a moment; after a wrong one
+// (or "Don't know", i = -1) the correct option stays up until Next, which
+// grades Again.
+function pickChoice(i) {
+  const ch = study.choice;
+  if (!study.active || !ch || ch.picked != null) return;
+  ch.picked = i;
+  ch.grade = ch.options[i]?.correct ? "good" : "again";
+  renderCurrentCard();
+  if (ch.grade === "good") {
+    const item = study.current;
+    setTimeout(() => { if (study.current === item) gradeCurrent("good"); }, 700);
+  }
+}
+
+/** --------------------------
+ *  Listening (dictation)
+ *  Plays the word or example without showing it; the typed answer is
+ *  compared like a typed card, ignoring punctuation.
+ *  -------------------------- */
+const SLOW_RATE = 0.6;
+
+function listenText(c) {
+  const word = [c.article, c.german].filter(Boolean).join(" ");
+  const example = stripCloze(c.example);
+  if (!example || settings.listenSource === "word") return word;
+  if (settings.listenSource === "example") return example;
+  return Math.random() < 0.5 ? word : example;
+}
+
+function dictationText(s) {
+  return (s ?? "").replace(/[.,!?;:"„“”»«()–-]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function renderListenResult(c, item, t) {
+  const input = $("#typedAnswer");
+  if (!t) {
+    input.value = "";
+    input.disabled = false;
+    input.placeholder = "Type what you hear";
+    input.focus();
+    $("#typedDiff").innerHTML = "";
+    $("#cardMeta").textContent = "Listen, then type what you heard. Replay as often as you like.";
+    return;
+  }
+
+  input.disabled = true;
+  $("#typedDiff").innerHTML = diffHtml(t.diff);
+  $("#cardMeta").textContent = [item.text, c.english ? `Meaning: ${c.english}` : ""].filter(Boolean).join("\n");
+  $("#genderResult").textContent = {
+    exact: "✅ Correct.",
+    umlaut: "≈ Nearly right — use ä/ö/ü/ß.",
+    typo: "≈ Close — small spelling slip.",
+    wrong: "❌ Not quite."
+  }[t.word];
+  $(GRADE_BUTTONS[t.grade]).classList.add("suggested");
+}
+
+/** --------------------------
+ *  TTS
+ *  -------------------------- */
+let voiceCache = [];
+function refreshVoices() {
+  voiceCache = speechSynthesis?.getVoices?.() || [];
+  const sel = $("#ttsVoice");
+  sel.innerHTML = "";
+  const opt0 = document.createElement("option");
+  opt0.value = "";
+  opt0.textContent = "Auto (preferred German if available)";
+  sel.appendChild(opt0);
+
+  for (const v of voiceCache) {
+    const opt = document.createElement("option");
+    opt.value = v.voiceURI;
+    opt.textContent = `${v.name} • ${v.lang}${v.default ? " (default)" : ""}`;
+    sel.appendChild(opt);
+  }
+  sel.value = settings.ttsVoiceURI || "";
+}
+
+function speakGerman(card) {
+  speakText([card.article, card.german].filter(Boolean).join(" "));
+}
+
+function speakText(text, rate = 0.95) {
+  if (!("speechSynthesis" in window)) {
+    setStatus("Text-to-speech not supported in this browser.");
+    return;
+  }
+  if (!text.trim()) return;
+
+  const u = new SpeechSynthesisUtterance(text);
+  // choose voice
+  const wanted = settings.ttsVoiceURI && voiceCache.find(v => v.voiceURI === settings.ttsVoiceURI);
+  if (wanted) {
+    u.voice = wanted;
+  } else {
+    const german = voiceCache.find(v => /^de(-|_)/i.test(v.lang)) || voiceCache.find(v => v.lang === "de-DE");
+    if (german) u.voice = german;
+  }
+  u.lang = (u.voice && u.voice.lang) ? u.voice.lang : "de-DE";
+  u.rate = rate;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(u);
+}
+
+/** --------------------------
+ *  Main actions
+ *  -------------------------- */
+async function refreshDecks() {
+  decks = await getAllDecks(db);
+  renderDeckSelects();
+  await renderDeckList();
+}
+
+async function ensureStarterDeck() {
+  decks = await getAllDecks(db);
+  if (decks.length === 0) {
+    const d = await addDeck(db, "Starter");
+    await addCard(db, d.id, {
+      english: "the house",
+      german: "Haus",
+      article: "das",
+      plural: "Häuser",
+      example: "Das Haus ist groß.",
+      notes: "Plural changes vowel (Umlaut)."
+    });
+    decks = await getAllDecks(db);
+  }
+}
+
+async function startSession() {
+  const deckId = $("#studyDeckSelect").value;
+  if (!deckId) { alert("Create/select a deck first."); return; }
+
+  const goal = clamp(parseInt($("#sessionGoal").value || "20", 10), 5, 200);
+  const mode = $("#studyModes .seg.active")?.dataset.mode || "flash";
+  if (!modeSupported(mode)) return;
+  // A parent deck studies the cards of all its subdecks too.
+  let cards = await getCardsByDecks(db, descendantDeckIds(decks, deckId));
+  if (cards.length === 0) { alert("That deck has no cards."); return; }
+  const filter = MODE_FILTERS[mode];
+  if (filter) {
+    cards = cards.filter(filter.test);
+    if (cards.length === 0) { alert(filter.empty); return; }
+  }
+
+  const tracksFor = modeTracks(mode);
+  let queue = buildStudyQueue(cards, goal, tracksFor);
+  if (queue.length === 0) {
+    const ok = confirm("Nothing left to study in this deck today. Practise ahead with cards that aren't due yet?");
+    if (!ok) return;
+    queue = buildAheadQueue(cards, goal, tracksFor);
+  }
+
+  beginSession({ mode, deckId, queue, reschedule: true, pool: await choicePool(mode, cards) });
+  setStatus("Session started.");
+}
+
+function modeSupported(mode) {
+  if (mode === "listen" && !("speechSynthesis" in window)) {
+    alert("Listening mode needs text-to-speech, which this browser doesn't support.");
+    return false;
+  }
+  return true;
+}
+
+// card → the tracks a mode studies for it.
+function modeTracks(mode) {
+  if (mode === "flash" || mode === "choice") return () => directionTracks();
+  if (mode === "case") return () => caseTracks();
+  if (mode === "cloze") return clozeTracks;
+  return () => [MODE_TRACKS[mode] || "main"];
+}
+
+// deckId is null for sessions across decks. With reschedule off, grades
+// only move the session along and leave every schedule untouched.
+function beginSession({ mode, deckId, queue, reschedule, pool = [] }) {
+  study.active = true;
+  study.session += 1;
+  study.mode = mode;
+  study.deckId = deckId;
+  study.pool = pool;
+  study.reschedule = reschedule;
+  study.done = 0;
+  study.queue = queue;
+  study.learning = [];
+  study.goal = study.queue.length;
+  study.current = study.queue.shift();
+  resetCardState();
+
+  setStudyVisible(true);
+  renderCurrentCard();
+}
+
+/** --------------------------
+ *  Custom study (filtered, any deck)
+ *  -------------------------- */
+async function refreshTagOptions() {
+  const sel = $("#customTag");
+  const cur = sel.value;
+  sel.innerHTML = `<option value="">Any tag</option>`;
+  for (const t of await getAllTags(db)) {
+    const opt = document.createElement("option");
+    opt.value = t;
+    opt.textContent = t;
+    sel.appendChild(opt);
+  }
+  sel.value = cur;
+  if (sel.value !== cur) sel.value = "";
+}
+
+function readCustomFilter() {
+  const num = (sel) => {
+    const n = parseInt($(sel).value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  };
+  return {
+    allDecks: $("#customScope").value === "all",
+    tag: $("#customTag").value,
+    article: $("#customArticle").value, // "" any | der | die | das | none
+    minLapses: num("#customLapses"), // lapsed more than N times
+    addedDays: num("#customAddedDays")
+  };
+}
+
+function matchesCustomFilter(card, f) {
+  if (f.tag && !(card.tags || []).includes(f.tag)) return false;
+  if (f.article === "none" && card.article) return false;
+  if (f.article && f.article !== "none" && card.article !== f.article) return false;
+  if (f.minLapses != null && (card.srs?.lapses ?? 0) <= f.minLapses) return false;
+  if (f.addedDays != null && (card.createdAt ?? 0) < Date.now() - f.addedDays * 24*60*60*1000) return false;
+  return true;
+}
+
+async function startCustomSession() {
+  // A saved filter (see Search) picks cards from every deck by itself.
+  const saved = settings.savedFilters.find(s => s.id === $("#customSaved").value);
+  const f = readCustomFilter();
+  const allDecks = f.allDecks || !!saved;
+  const deckId = $("#studyDeckSelect").value;
+  if (!allDecks && !deckId) { alert("Create/select a deck first."); return; }
+  const mode = $("#studyModes .seg.active")?.dataset.mode || "flash";
+  if (!modeSupported(mode)) return;
+
+  let cards;
+  if (saved) {
+    cards = await cardsMatching(saved.query);
+  } else {
+    const deckIds = f.allDecks ? null : descendantDeckIds(decks, deckId);
+    cards = f.tag ? await getCardsByTag(db, f.tag)
+      : f.allDecks ? await getAllCards(db)
+      : await getCardsByDecks(db, deckIds);
+    if (deckIds) cards = cards.filter(c => deckIds.includes(c.deckId));
+    cards = cards.filter(c => matchesCustomFilter(c, f));
+  }
+
+  if (MODE_FILTERS[mode]) cards = cards.filter(MODE_FILTERS[mode].test);
+  if (cards.length === 0) { alert("No cards match those filters."); return; }
+
+  const goal = clamp(parseInt($("#sessionGoal").value || "20", 10), 5, 200);
+  const tracksFor = modeTracks(mode);
+  const queue = spreadSiblings(shuffle(studyItems(cards, tracksFor)).slice(0, goal));
+  const reschedule = $("#customReschedule").checked;
+
+  beginSession({ mode, deckId: allDecks ? null : deckId, queue, reschedule, pool: await choicePool(mode, cards) });
+  setStatus(`${saved ? `"${saved.name}"` : "Custom session"}: ${study.goal} cards${reschedule ? "" : " (schedules unchanged)"}.`);
+}
+
+async function gradeCurrent(grade) {
+  if (!study.active || !study.current) return;
+
+  // In gender mode, if user hasn’t answered yet, force them to answer first.
+  if (study.mode === "gender" && !study.genderAnswered) {
+    $("#genderResult").textContent = "Pick der/die/das first.";
+    return;
+  }
+  if (TYPED_MODES.includes(study.mode) && !study.typed) {
+    $("#genderResult").textContent = "Answer and Check first.";
+    return;
+  }
+  if (study.mode === "choice" && !study.choice?.grade) {
+    $("#genderResult").textContent = "Pick an answer first.";
+    return;
+  }
+
+  const { card: c, track } = study.current;
+  const position = studyPosition();
+  let label = `Graded "${c.german}": ${grade[0].toUpperCase()}${grade.slice(1)}.`;
+  let revert = null;
+  if (!study.reschedule) {
+    study.done += 1;
+  } else {
+    const s = ensureTrackSRS(c, track);
+    const before = { ...s };
+    const schedules = structuredClone({ srs: c.srs, srsTracks: c.srsTracks });
+    const daily = loadDaily();
+    const wasLeech = isLeech(c);
+    applySRS(s, grade);
+    countAnswer(before);
+    const review = await recordReview(db, c, { track, grade, before, after: s });
+    updateBadge();
+    if (!wasLeech && isLeech(c)) label += ` It's now a leech — consider rewording it or adding a mnemonic.`;
+    requeueOrFinish(s);
+    revert = async () => {
+      c.srs = schedules.srs;
+      c.srsTracks = schedules.srsTracks;
+      await revertReview(db, c, review.id);
+      if (daily.day === dayKey()) saveDaily(daily);
+      updateBadge();
+    };
+  }
+  pushUndo({
+    kind: "grade",
+    label,
+    run: async () => {
+      await revert?.();
+      rewindStudy(position);
+      return `Took back the grade for "${c.german}".`;
+    }
+  });
+
+  study.current = nextStudyItem();
+  if (!study.current) {
+    study.active = false;
+    setStudyVisible(false);
+    saveSession();
+    showUndoToast("Session complete.");
+    // refresh cards panel; with nested decks the session may have covered it
+    await loadCardsForSelectedDeck();
+    if (study.mode === "case") await renderCaseStats();
+    return;
+  }
+
+  resetCardState();
+  renderCurrentCard();
+}
+
+// Cards still in learning steps come back later in this session.
+function requeueOrFinish(s) {
+  if (isLearning(s)) {
+    study.learning.push(study.current);
+    study.learning.sort((a, b) => trackSRS(a.card, a.track).due - trackSRS(b.card, b.track).due);
+  } else {
+    study.done += 1;
+  }
+}
+
+// Learning cards whose step has elapsed go first, then the queue. Once the
+// queue is empty, remaining learning cards are shown early rather than
+// making the session wait.
+function nextStudyItem() {
+  const first = study.learning[0];
+  if (first && trackSRS(first.card, first.track).due <= Date.now()) return study.learning.shift();
+  if (study.queue.length) return study.queue.shift();
+  return study.learning.shift() || null;
+}
+
+/** --------------------------
+ *  Saved session
+ *  The running session is kept in localStorage by card id, so a reload
+ *  (or iOS killing the app) can pick it up where it stopped.
+ *  -------------------------- */
+const SESSION_KEY = "gfc_session_v1";
+
+const itemRef = (item) => ({ cardId: item.card.id, track: item.track });
+
+function saveSession() {
+  if (!study.active || !study.current) {
+    localStorage.removeItem(SESSION_KEY);
+  } else {
+    const cur = study.current;
+    localStorage.setItem(SESSION_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      mode: study.mode,
+      deckId: study.deckId,
+      goal: study.goal,
+      done: study.done,
+      reschedule: study.reschedule,
+      // updatedAt tells on resume whether the card was edited meanwhile.
+      current: { ...itemRef(cur), updatedAt: cur.card.updatedAt ?? 0 },
+      queue: study.queue.map(itemRef),
+      learning: study.learning.map(itemRef),
+      pool: study.pool.map(c => c.id),
+      answer: {
+        flipped: study.flipped,
+        genderAnswered: study.genderAnswered,
+        genderCorrect: study.genderCorrect,
+        typed: study.typed,
+        verbPart: study.verbPart?.field ?? null,
+        declension: study.declension,
+        cloze: study.cloze,
+        choice: study.choice,
+        listen: study.listen
+      }
+    }));
+  }
+  renderResumeOffer();
+}
+
+function loadSavedSession() {
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY)); } catch { return null; }
+}
+
+function renderResumeOffer() {
+  const saved = !study.active && loadSavedSession();
+  $("#resumeRow").classList.toggle("hidden", !saved);
+  if (saved) $("#btnResume").textContent = `Resume session (${saved.done}/${saved.goal})`;
+}
+
+function discardSavedSession() {
+  localStorage.removeItem(SESSION_KEY);
+  renderResumeOffer();
+}
+
+// Cards deleted since the session was saved drop out, and so do cards
+// edited so they no longer fit the mode (plural removed, cloze gap gone).
+// An edited current card is asked afresh rather than with a stale answer.
+async function resumeSession() {
+  const saved = loadSavedSession();
+  if (!saved) return;
+
+  const byId = new Map((await getAllCards(db)).map(c => [c.id, c]));
+  const filter = MODE_FILTERS[saved.mode];
+  const fits = (r) => {
+    const c = byId.get(r.cardId);
+    if (!c || (filter && !filter.test(c))) return false;
+    return saved.mode !== "cloze" || clozeTracks(c).includes(r.track);
+  };
+  const live = (refs) => refs.filter(fits).map(r => ({ card: byId.get(r.cardId), track: r.track }));
+
+  const refs = [saved.current, ...saved.learning, ...saved.queue];
+  const dropped = refs.filter(r => !fits(r)).length;
+  if (dropped === refs.length) {
+    discardSavedSession();
+    setStatus("The saved session's cards have all been deleted.");
+    return;
+  }
+
+  study.active = true;
+  study.session += 1;
+  study.mode = saved.mode;
+  study.deckId = saved.deckId;
+  study.pool = saved.pool.map(id => byId.get(id)).filter(Boolean);
+  study.reschedule = saved.reschedule;
+  study.done = saved.done;
+  study.goal = saved.goal - dropped;
+  study.queue = live(saved.queue);
+  study.learning = live(saved.learning);
+  study.current = live([saved.current])[0] || nextStudyItem();
+  resetCardState();
+
+  const c = study.current.card;
+  if (c.id === saved.current.cardId && (c.updatedAt ?? 0) === saved.current.updatedAt) {
+    const a = saved.answer;
+    study.flipped = a.flipped;
+    study.genderAnswered = a.genderAnswered;
+    study.genderCorrect = a.genderCorrect;
+    study.typed = a.typed;
+    study.verbPart = VERB_PARTS.find(p => p.field === a.verbPart) || null;
+    study.declension = a.declension;
+    study.cloze = a.cloze;
+    study.choice = a.choice;
+    study.listen = a.listen;
+  }
+
+  setStudyVisible(true);
+  renderCurrentCard();
+  setStatus(dropped
+    ? `Session resumed; ${dropped} card${dropped > 1 ? "s were" : " was"} deleted or changed meanwhile and left out.`
+    : "Session resumed.");
+}
+
+/** --------------------------
+ *  Undo
+ *  Grades, deletes and the last CSV import can be taken back, newest
+ *  first, from the toast in the footer or with Ctrl/⌘+Z.
+ *  -------------------------- */
+const UNDO_LIMIT = 20;
+const undoStack = []; // { kind: "grade" | "delete" | "import", label, run() → status message, trashId? }
+
+function pushUndo(entry) {
+  // Only the most recent import can be undone as a whole.
+  if (entry.kind === "import") {
+    for (let i = undoStack.length - 1; i >= 0; i--) if (undoStack[i].kind === "import") undoStack.splice(i, 1);
+  }
+  undoStack.push(entry);
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  showUndoToast(entry.label);
+}
+
+// A status message with an Undo button for the newest entry.
+function showUndoToast(msg) {
+  const el = $("#footerStatus");
+  el.textContent = msg;
+  if (!undoStack.length) return;
+  const btn = document.createElement("button");
+  btn.className = "btn undo";
+  btn.textContent = "Undo";
+  btn.title = "Undo (Ctrl/⌘+Z)";
+  btn.onclick = undoLast;
+  el.append(" ", btn);
+}
+
+let undoing = false;
+async function undoLast() {
+  if (undoing) return;
+  const entry = undoStack.pop();
+  if (!entry) { setStatus("Nothing to undo."); return; }
+  undoing = true;
+  try {
+    setStatus(await entry.run());
+  } catch (e) {
+    setStatus(`Couldn't undo: ${e.message}`);
+  } finally {
+    undoing = false;
+  }
+}
+
+// Where a session stands, so a grade can be taken back.
+function studyPosition() {
+  return {
+    session: study.session,
+    item: study.current,
+    queue: [...study.queue],
+    learning: [...study.learning],
+    done: study.done
+  };
+}
+
+// Puts the graded card back in front of the session it came from,
+// reopening the session if that grade finished it.
+function rewindStudy(pos) {
+  if (pos.session !== study.session) return;
+  study.queue = pos.queue;
+  study.learning = pos.learning;
+  study.done = pos.done;
+  study.current = pos.item;
+  study.active = true;
+  resetCardState();
+  setStudyVisible(true);
+  renderCurrentCard();
+}
+
+// Keys typed into a field belong to the field.
+function isTypingTarget(el) {
+  return !!el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+}
+
+async function renderTrash() {
+  const list = $("#trashList");
+  const entries = await getTrash(db);
+  list.innerHTML = "";
+  if (entries.length === 0) {
+    list.innerHTML = `<div class="empty">Trash is empty.</div>`;
+    return;
+  }
+
+  for (const t of entries) {
+    const el = document.createElement("div");
+    el.className = "item";
+    const what = {
+      deck: `Deck • ${cardCount(t.cards.length)}`,
+      cards: cardCount(t.cards.length),
+      merge: `Merge of ${cardCount(t.cards.length)}`
+    }[t.kind] || "Card";
+    el.innerHTML = `
+      <div style="min-width:0">
+        <div class="title">${escapeHtml(t.label)}</div>
+        <div class="meta">${what} • deleted ${escapeHtml(new Date(t.deletedAt).toLocaleString())}</div>
+      </div>
+      <div class="actions">
+        <button class="btn" data-action="restore">Restore</button>
+      </div>
+    `;
+    el.querySelector('[data-action="restore"]').onclick = async () => {
+      setStatus(await restoreFromTrash(t.id, t.kind));
+    };
+    list.appendChild(el);
+  }
+}
+
+async function restoreFromTrash(trashId, kind) {
+  try {
+    await restoreTrash(db, trashId);
+  } catch (e) {
+    renderTrash();
+    return `Couldn't restore: ${e.message}`;
+  }
+  // Restored from the Trash list: its undo entry has nothing left to do.
+  const i = undoStack.findIndex(u => u.trashId === trashId);
+  if (i >= 0) undoStack.splice(i, 1);
+  await reloadData();
+  renderTrash();
+  return { deck: "Deck restored.", cards: "Cards restored.", merge: "Merge undone." }[kind] || "Card restored.";
+}
+
+function pushDeleteUndo(trashId, kind, label) {
+  if (!trashId) return;
+  renderTrash();
+  updateBadge();
+  pushUndo({ kind: "delete", label, trashId, run: () => restoreFromTrash(trashId, kind) });
+}
+
+function wireUndo() {
+  document.addEventListener("keydown", (e) => {
+    if (e.key.toLowerCase() !== "z" || !(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    e.preventDefault();
+    undoLast();
+  });
+
+  $("#trashDays").value = settings.trashDays;
+  $("#trashDays").onchange = async () => {
+    const n = parseInt($("#trashDays").value, 10);
+    settings.trashDays = clamp(Number.isFinite(n) ? n : 30, 1, 365);
+    $("#trashDays").value = settings.trashDays;
+    saveSettings(settings);
+    await purgeTrash(db, settings.trashDays);
+    renderTrash();
+  };
+}
+
+/** --------------------------
+ *  Keyboard shortcuts
+ *  One document-level handler for the study screen. Keys are stored as
+ *  KeyboardEvent.key, lowercased for letters; they never fire while a
+ *  form field has focus.
+ *  -------------------------- */
+const SHORTCUTS = [
+  { id: "flip", label: "Flip / show answer", key: " " },
+  { id: "again", label: "Again", key: "1" },
+  { id: "hard", label: "Hard", key: "2" },
+  { id: "good", label: "Good", key: "3" },
+  { id: "easy", label: "Easy", key: "4" },
+  { id: "der", label: "Gender quiz: der", key: "d" },
+  { id: "die", label: "Gender quiz: die", key: "i" },
+  { id: "das", label: "Gender quiz: das", key: "a" },
+  { id: "speak", label: "Speak", key: "s" },
+  { id: "edit", label: "Edit this card", key: "e" },
+  { id: "undo", label: "Undo", key: "u" },
+  { id: "help", label: "Show shortcuts", key: "?" }
+];
+const GRADE_ACTIONS = ["again", "hard", "good", "easy"];
+
+function shortcutKey(id) {
+  return settings.shortcuts[id] ?? SHORTCUTS.find(s => s.id === id).key;
+}
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+function keyLabel(key) {
+  if (!key) return "—";
+  return key === " " ? "Space" : key.length === 1 ? key.toUpperCase() : key;
+}
+function shortcutFor(key) {
+  return SHORTCUTS.find(s => shortcutKey(s.id) === key)?.id || null;
+}
+
+function runStudyShortcut(action) {
+  const i = GRADE_ACTIONS.indexOf(action);
+  if (i >= 0) {
+    // Before answering, the grade keys pick an answer instead.
+    if (study.mode === "gender" && !study.genderAnswered && i < 3) onGenderChoice(ARTICLES[i]);
+    else if (study.mode === "choice" && study.choice?.picked == null) pickChoice(i);
+    else gradeCurrent(action);
+  } else if (ARTICLES.includes(action)) {
+    if (study.mode === "gender" && !study.genderAnswered) onGenderChoice(action);
+  } else if (action === "flip") {
+    $("#btnShowAnswer").click();
+  } else if (action === "speak") {
+    $("#btnSpeak").click();
+  } else if (action === "edit") {
+    openQuickEdit(study.current.card);
+  }
+}
+
+function onShortcutKey(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+  if (e.key === "Escape") {
+    closeOverlays();
+    return;
+  }
+  if ($$(".overlay").some(o => !o.classList.contains("hidden")) && e.key !== shortcutKey("help")) return;
+
+  const action = shortcutFor(normalizeKey(e.key));
+  if (!action) return;
+  if (action === "help") {
+    e.preventDefault();
+    toggleShortcutSheet();
+    return;
+  }
+  if (action === "undo") {
+    e.preventDefault();
+    undoLast();
+    return;
+  }
+  if (!study.active || !study.current || !$("#tab-study").classList.contains("active")) return;
+  e.preventDefault();
+  runStudyShortcut(action);
+}
+
+function toggleShortcutSheet() {
+  const sheet = $("#shortcutOverlay");
+  if (!sheet.classList.contains("hidden")) { sheet.classList.add("hidden"); return; }
+  const list = $("#shortcutList");
+  list.innerHTML = "";
+  const rows = [
+    ...SHORTCUTS.map(s => [shortcutKey(s.id), s.label]),
+    ["Enter", "Check a typed answer, then take the suggested grade"],
+    ["Ctrl/⌘+Z", "Undo"],
+    ["Esc", "Close"]
+  ];
+  for (const [key, label] of rows) {
+    const k = document.createElement("kbd");
+    k.textContent = keyLabel(key);
+    const l = document.createElement("span");
+    l.textContent = label;
+    list.append(k, l);
+  }
+  $("#shortcutNote").textContent =
+    `Before answering, ${GRADE_ACTIONS.slice(0, 3).map(a => keyLabel(shortcutKey(a))).join("/")} pick der/die/das in the gender quiz ` +
+    "and the options in multiple choice.";
+  sheet.classList.remove("hidden");
+}
+
+function closeOverlays() {
+  $$(".overlay").forEach(o => o.classList.add("hidden"));
+}
+
+function renderShortcutSettings() {
+  const wrap = $("#shortcutSettings");
+  wrap.innerHTML = "";
+  for (const s of SHORTCUTS) {
+    const input = document.createElement("input");
+    input.className = "input small keyInput";
+    input.readOnly = true;
+    input.value = keyLabel(shortcutKey(s.id));
+    input.title = "Press a key (Backspace: no key)";
+    input.onkeydown = (e) => {
+      if (e.key === "Tab" || e.key === "Escape") return;
+      e.preventDefault();
+      if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+      const key = ["Backspace", "Delete"].includes(e.key) ? "" : normalizeKey(e.key);
+      // A key does one thing: whatever had it before loses it.
+      const taken = key && shortcutFor(key);
+      if (taken && taken !== s.id) settings.shortcuts[taken] = "";
+      settings.shortcuts[s.id] = key;
+      saveSettings(settings);
+      renderShortcutSettings();
+      setStatus(key ? `${s.label}: ${keyLabel(key)}${taken && taken !== s.id ? ` (taken from ${SHORTCUTS.find(x => x.id === taken).label})` : ""}` : `${s.label}: no key`);
+    };
+    const label = document.createElement("span");
+    label.textContent = s.label;
+    wrap.append(input, label);
+  }
+}
+
+/** --------------------------
+ *  Quick edit
+ *  Edits the card being studied without leaving the session.
+ *  -------------------------- */
+const QUICK_EDIT_FIELDS = {
+  noun: ["english", "german", "article", "plural", "example", "notes", "tags"],
+  verb: ["english", "german", ...VERB_FIELDS, "example", "notes", "tags"]
+};
+const FIELD_LABELS = {
+  english: "English", german: "German", article: "Article", plural: "Plural",
+  presentDu: "Present: du", presentEr: "Present: er/sie/es", preterite: "Präteritum",
+  participle: "Partizip II", auxiliary: "Auxiliary (Perfekt)",
+  example: "Example sentence", notes: "Notes", tags: "Tags"
+};
+const FIELD_CHOICES = { article: ["", "der", "die", "das"], auxiliary: ["", "haben", "sein"] };
+
+let quickEditCard = null;
+
+function openQuickEdit(card) {
+  quickEditCard = card;
+  const wrap = $("#quickEditFields");
+  wrap.innerHTML = "";
+  for (const f of QUICK_EDIT_FIELDS[card.type === "verb" ? "verb" : "noun"]) {
+    const row = document.createElement("div");
+    row.className = "row";
+    const label = document.createElement("label");
+    label.className = "label";
+    label.textContent = FIELD_LABELS[f];
+    let input;
+    if (FIELD_CHOICES[f]) {
+      input = document.createElement("select");
+      for (const v of FIELD_CHOICES[f]) {
+        const opt = document.createElement("option");
+        opt.value = v;
+        opt.textContent = v || "(none)";
+        input.appendChild(opt);
+      }
+    } else {
+      input = document.createElement(f === "example" || f === "notes" ? "textarea" : "input");
+      if (input.tagName === "TEXTAREA") input.rows = 2;
+    }
+    input.className = "input";
+    input.name = f;
+    input.value = f === "tags" ? (card.tags || []).join(" ") : card[f] || "";
+    row.append(label, input);
+    wrap.appendChild(row);
+  }
+  $("#quickEdit").classList.remove("hidden");
+  wrap.querySelector("input, select, textarea")?.focus();
+}
+
+async function saveQuickEdit(e) {
+  e.preventDefault();
+  const c = quickEditCard;
+  if (!c) return;
+  const fields = { ...c, tags: c.tags };
+  for (const el of $("#quickEditForm").elements) if (el.name) fields[el.name] = el.value;
+  if (!fields.english.trim() || !fields.german.trim()) {
+    setStatus("English and German can't be empty.");
+    return;
+  }
+
+  let updated;
+  try {
+    updated = await updateCard(db, c.id, fields);
+  } catch (err) {
+    setStatus(`Couldn't save: ${err.message}`);
+    return;
+  }
+  // The session holds this very object (possibly on several tracks).
+  Object.assign(c, updated);
+  quickEditCard = null;
+  $("#quickEdit").classList.add("hidden");
+  if (study.current?.card === c) renderCurrentCard();
+  await loadCardsForSelectedDeck();
+  setStatus("Card updated.");
+}
+
+function wireShortcuts() {
+  document.addEventListener("keydown", onShortcutKey);
+  $("#btnShortcuts").onclick = toggleShortcutSheet;
+  $("#btnCloseShortcuts").onclick = closeOverlays;
+  $("#quickEditForm").onsubmit = saveQuickEdit;
+  $("#btnQuickEditCancel").onclick = closeOverlays;
+  $("#quickEditForm").onkeydown = (e) => {
+    if (e.key === "Escape") closeOverlays();
+  };
+  $$(".overlay").forEach(o => {
+    o.onclick = (e) => { if (e.target === o) closeOverlays(); };
+  });
+
+  renderShortcutSettings();
+  $("#btnResetShortcuts").onclick = () => {
+    settings.shortcuts = {};
+    saveSettings(settings);
+    renderShortcutSettings();
+    setStatus("Shortcuts reset.");
+  };
+}
+
+/** --------------------------
+ *  Bulk card actions
+ *  Selection mode on the card list. The selection survives searching, so
+ *  several searches can add to it; cards that leave the deck drop out.
+ *  -------------------------- */
+const bulk = { active: false, ids: new Set() };
+
+const BULK_EDITS = {
+  addTags: { label: "Add tags" },
+  removeTags: { label: "Remove tags" },
+  article: { label: "Set article", choices: FIELD_CHOICES.article, none: "(none)" },
+  type: { label: "Set type", choices: CARD_TYPES, names: { noun: "Noun / other", verb: "Verb" } },
+  auxiliary: { label: "Set auxiliary", choices: FIELD_CHOICES.auxiliary, none: "(not set)" }
+};
+
+const cardCount = (n) => `${n} card${n === 1 ? "" : "s"}`;
+
+function renderBulkBar() {
+  $("#btnSelectCards").textContent = bulk.active ? "Done selecting" : "Select cards";
+  $("#bulkBar").classList.toggle("hidden", !bulk.active);
+  if (!bulk.active) return;
+  const n = bulk.ids.size;
+  $("#bulkCount").textContent = `${n} selected`;
+  for (const b of $$("#bulkBar [data-bulk]")) b.disabled = n === 0;
+}
+
+// Shows a choice list or a text box, whichever fits the chosen edit.
+function syncBulkField() {
+  const edit = BULK_EDITS[$("#bulkField").value];
+  const sel = $("#bulkChoice");
+  $("#bulkValue").classList.toggle("hidden", !!edit.choices);
+  sel.classList.toggle("hidden", !edit.choices);
+  sel.innerHTML = "";
+  for (const v of edit.choices || []) {
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = v ? edit.names?.[v] || v : edit.none;
+    sel.appendChild(opt);
+  }
+}
+
+// Runs a bulk change on the selection; `run(ids)` returns the status
+// message, or null when the user backed out.
+async function bulkAction(run) {
+  const ids = [...bulk.ids];
+  if (!ids.length) return;
+  let msg;
+  try {
+    msg = await run(ids);
+  } catch (e) {
+    msg = `Couldn't change the cards: ${e.message}`;
+  }
+  if (msg == null) return;
+  await reloadData();
+  setStatus(msg);
+}
+
+// "Moved 12 cards to X." plus how many were left as they were, and why.
+function bulkResult(done, n, total, skipped) {
+  return `${done.replace("{n}", cardCount(n))}${n < total ? ` ${total - n} ${skipped}.` : ""}`;
+}
+
+async function bulkDelete() {
+  const ids = [...bulk.ids];
+  if (!ids.length) return;
+  if (!confirm(`Delete ${cardCount(ids.length)}?`)) return;
+  const { trashId, deleted } = await deleteCards(db, ids);
+  bulk.ids.clear();
+  await reloadData();
+  pushDeleteUndo(trashId, "cards", `Deleted ${cardCount(deleted)}.`);
+}
+
+function wireBulk() {
+  $("#btnSelectCards").onclick = () => {
+    bulk.active = !bulk.active;
+    bulk.ids.clear();
+    renderCardList();
+  };
+  $("#btnSelectMatching").onclick = () => {
+    for (const c of matchingCards()) bulk.ids.add(c.id);
+    renderCardList();
+  };
+  $("#btnSelectNone").onclick = () => {
+    bulk.ids.clear();
+    renderCardList();
+  };
+
+  const field = $("#bulkField");
+  for (const [id, edit] of Object.entries(BULK_EDITS)) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = edit.label;
+    field.appendChild(opt);
+  }
+  field.onchange = syncBulkField;
+  syncBulkField();
+
+  $("#btnBulkMove").onclick = () => bulkAction(async (ids) => {
+    const deckId = $("#bulkDeck").value;
+    const n = await moveCards(db, ids, deckId);
+    return bulkResult(`Moved {n} to ${deckPath(deckId)}.`, n, ids.length, "already there");
+  });
+
+  $("#btnBulkCopy").onclick = () => bulkAction(async (ids) => {
+    const deckId = $("#bulkDeck").value;
+    const n = await copyCards(db, ids, deckId);
+    return `Copied ${cardCount(n)} to ${deckPath(deckId)}.`;
+  });
+
+  $("#btnBulkReset").onclick = () => bulkAction(async (ids) => {
+    if (!confirm(`Reset progress on ${cardCount(ids.length)}? They start over as new cards; review history stays.`)) return null;
+    if (!(await snapshotBefore("bulk"))) return null;
+    return bulkResult("Reset {n}.", await resetCards(db, ids), ids.length, "not reviewed yet");
+  });
+
+  $("#btnBulkEdit").onclick = () => bulkAction(async (ids) => {
+    const key = $("#bulkField").value;
+    const edit = BULK_EDITS[key];
+    const value = edit.choices ? $("#bulkChoice").value : $("#bulkValue").value;
+    const change = edit.choices ? { set: { [key]: value } } : { [key]: parseTags(value) };
+    if (!edit.choices && !change[key].length) { setStatus("Enter one or more tags."); return null; }
+    if (!(await snapshotBefore("bulk"))) return null;
+    return bulkResult("Updated {n}.", await editCards(db, ids, change), ids.length, "already matched");
+  });
+
+  $("#btnBulkDelete").onclick = bulkDelete;
+}
+
+/** --------------------------
+ *  Duplicates
+ *  The report groups cards in all decks by dupKey() (article + folded
+ *  German word); the card form warns on the German word alone.
+ *  -------------------------- */
+let germanIndex = null; // Promise of foldGerman(german) → cards; reset when cards change
+
+function findDuplicates(cards) {
+  const groups = new Map();
+  for (const c of cards) {
+    const key = dupKey(c);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
+  }
+  return [...groups.values()].filter(g => g.length > 1);
+}
+
+// The card a merge keeps unless the user picks another: the one with the
+// longest interval, else the oldest.
+function defaultSurvivor(group) {
+  return group.reduce((best, c) => (c.srs.intervalDays ?? 0) > (best.srs.intervalDays ?? 0) ? c : best);
+}
+
+function scheduleSummary(c) {
+  if (isNewState(c.srs)) return "new";
+  return `interval ${formatInterval(c.srs.intervalDays)} • ${c.srs.lapses} lapses`;
+}
+
+async function renderDuplicates() {
+  const list = $("#dupList");
+  const groups = findDuplicates(await getAllCards(db));
+  list.innerHTML = "";
+  $("#dupMsg").textContent = groups.length
+    ? `${groups.length} word${groups.length === 1 ? "" : "s"} with duplicates.`
+    : "No duplicates found.";
+
+  groups.forEach((group, i) => {
+    const keep = defaultSurvivor(group);
+    const el = document.createElement("div");
+    el.className = "item";
+    el.innerHTML = `
+      <div style="min-width:0">
+        <div class="title">${escapeHtml(germanSide(keep))}</div>
+        <div class="dupChoices">
+          ${group.map(c => `
+            <label class="check">
+              <input type="radio" name="dupKeep${i}" value="${escapeHtml(c.id)}" ${c === keep ? "checked" : ""} />
+              ${escapeHtml(deckPath(c.deckId))} • ${escapeHtml(c.english)} • ${escapeHtml(scheduleSummary(c))}
+            </label>`).join("")}
+        </div>
+      </div>
+      <div class="actions">
+        <button class="btn" data-action="merge">Merge</button>
+      </div>
+    `;
+    el.querySelector('[data-action="merge"]').onclick = () => mergeGroup(group, el.querySelector("input:checked").value);
+    list.appendChild(el);
+  });
+}
+
+async function mergeGroup(group, keepId) {
+  const keep = group.find(c => c.id === keepId);
+  const ok = confirm(`Merge ${cardCount(group.length)} into "${germanSide(keep)}" in ${deckPath(keep.deckId)}?`);
+  if (!ok) return;
+  let result;
+  try {
+    result = await mergeCards(db, keepId, group.map(c => c.id), { keep: $("#dupKeep").value });
+  } catch (e) {
+    setStatus(`Couldn't merge: ${e.message}`);
+    await renderDuplicates();
+    return;
+  }
+  await reloadData();
+  await renderDuplicates();
+  pushDeleteUndo(result.trashId, "merge", `Merged ${cardCount(group.length)} into "${keep.german}".`);
+}
+
+// Warns under the German field when the word is already in some deck.
+async function renderDupWarning() {
+  const el = $("#dupWarning");
+  if (!foldGerman($("#fGerman").value)) { el.classList.add("hidden"); return; }
+
+  germanIndex ??= getAllCards(db).then(cards => {
+    const index = new Map();
+    for (const c of cards) {
+      const key = foldGerman(c.german);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(c);
+    }
+    return index;
+  });
+  const index = await germanIndex;
+  // Typed on while we were reading: look up what's there now.
+  const hits = (index.get(foldGerman($("#fGerman").value)) || []).filter(c => c.id !== $("#cardId").value);
+  el.classList.toggle("hidden", hits.length === 0);
+  if (!hits.length) return;
+  const where = hits.slice(0, 3).map(c => `${germanSide(c)} (${deckPath(c.deckId)})`);
+  if (hits.length > 3) where.push(`${hits.length - 3} more`);
+  el.textContent = `Already exists: ${where.join(", ")}`;
+}
+
+function wireDuplicates() {
+  $("#btnFindDuplicates").onclick = renderDuplicates;
+  $("#fGerman").oninput = renderDupWarning;
+}
+
+/** --------------------------
+ *  Search
+ *  One query language (query.js) for the global search, the deck's card
+ *  list and saved filters. A saved filter can also pick the cards for a
+ *  custom session.
+ *  -------------------------- */
+const SEARCH_LIMIT = 200;
+
+// What query.js needs to know beyond the card itself.
+function queryContext() {
+  const tracks = directionTracks();
+  return {
+    deckPath: (id) => deckPath(id, DECK_SEP),
+    dueAt: (c) => Math.min(...tracks.map(t => trackDue(c, t))),
+    isLeech
+  };
+}
+
+async function cardsMatching(query) {
+  const { terms } = parseQuery(query);
+  const ctx = queryContext();
+  return (await getAllCards(db)).filter(c => matchesQuery(c, terms, ctx));
+}
+
+async function renderSearch() {
+  const list = $("#searchResults");
+  const msg = $("#searchMsg");
+  const text = $("#globalSearch").value;
+  const { terms, errors } = parseQuery(text);
+  if (!terms.length) {
+    list.innerHTML = "";
+    msg.textContent = errors.join(" ");
+    return;
+  }
+
+  const cards = await cardsMatching(text);
+  // Typed on while we were reading: that search will render instead.
+  if ($("#globalSearch").value !== text) return;
+  cards.sort((a, b) => a.german.localeCompare(b.german, "de"));
+  const found = `${cardCount(cards.length)} found${cards.length > SEARCH_LIMIT ? `, showing the first ${SEARCH_LIMIT}` : ""}.`;
+  msg.textContent = [found, ...errors].join(" ");
+  list.innerHTML = "";
+  for (const c of cards.slice(0, SEARCH_LIMIT)) {
+    const el = document.createElement("div");
+    el.className = "item";
+    el.innerHTML = `
+      <div style="min-width:0">
+        <div class="title">${escapeHtml(c.english)}</div>
+        <div class="meta">
+          ${escapeHtml(c.type === "verb" ? verbForms(c) : germanSide(c))} • ${escapeHtml(deckPath(c.deckId))}
+          ${(c.tags || []).map(t => `<span class="tag">${escapeHtml(t)}</span>`).join(" ")}
+        </div>
+      </div>
+      <div class="actions">
+        <button class="btn" data-action="edit">Edit</button>
+      </div>
+    `;
+    el.querySelector('[data-action="edit"]').onclick = () => editCardInDeck(c);
+    list.appendChild(el);
+  }
+}
+
+// Opens a card in the Decks tab's form, with its deck selected.
+async function editCardInDeck(card) {
+  selectedDeckId = card.deckId;
+  renderDeckSelects();
+  await loadCardsForSelectedDeck();
+  setTab("decks");
+  fillCardForm(card);
+}
 
-  const colIndex = (name) => header.indexOf(name);
+function renderSavedFilters() {
+  const sel = $("#customSaved");
+  const cur = sel.value;
+  sel.innerHTML = `<option value="">None — use the filters above</option>`;
+  for (const f of settings.savedFilters) {
+    const opt = document.createElement("option");
+    opt.value = f.id;
+    opt.textContent = f.name;
+    sel.appendChild(opt);
+  }
+  sel.value = cur;
+  if (sel.value !== cur) sel.value = "";
 
-  let imported = 0;
-  const createdDeckIds = new Map(); // deckName -> id
+  const list = $("#savedFilterList");
+  list.innerHTML = "";
+  if (settings.savedFilters.length === 0) {
+    list.innerHTML = `<div class="empty">No saved filters yet. Search, then Save as filter.</div>`;
+    return;
+  }
+  for (const f of settings.savedFilters) {
+    const el = document.createElement("div");
+    el.className = "item";
+    el.innerHTML = `
+      <div style="min-width:0">
+        <div class="title">${escapeHtml(f.name)}</div>
+        <div class="meta">${escapeHtml(f.query)}</div>
+      </div>
+      <div class="actions">
+        <button class="btn" data-action="search">Search</button>
+        <button class="btn" data-action="study">Study</button>
+        <button class="btn danger" data-action="delete">Delete</button>
+      </div>
+    `;
+    el.querySelector('[data-action="search"]').onclick = () => {
+      $("#globalSearch").value = f.query;
+      renderSearch();
+    };
+    el.querySelector('[data-action="study"]').onclick = () => {
+      $("#customSaved").value = f.id;
+      setTab("study");
+      startCustomSession();
+    };
+    el.querySelector('[data-action="delete"]').onclick = () => {
+      if (!confirm(`Delete the saved filter "${f.name}"?`)) return;
+      settings.savedFilters = settings.savedFilters.filter(x => x.id !== f.id);
+      saveSettings(settings);
+      renderSavedFilters();
+      setStatus("Filter deleted.");
+    };
+    list.appendChild(el);
+  }
+}
 
-  for (const r of dataRows) {
-    // If header exists, use it; otherwise assume fixed order:
-    // english,german,article,plural,example,notes (deck optional)
-    let deckName = "";
-    let english = "", german = "", article="", plural="", example="", notes="";
+function saveSearchAsFilter() {
+  const query = $("#globalSearch").value.trim();
+  const { terms, errors } = parseQuery(query);
+  if (errors.length) { setStatus(`Fix the search first: ${errors[0]}`); return; }
+  if (!terms.length) { setStatus("Type a search first."); return; }
+  const name = prompt("Name for this filter:", query);
+  if (!name || !name.trim()) return;
+  settings.savedFilters = [...settings.savedFilters, { id: uid(), name: name.trim(), query }];
+  saveSettings(settings);
+  renderSavedFilters();
+  setStatus(`Saved filter "${name.trim()}".`);
+}
 
-    if (hasHeader) {
-      deckName = colIndex("deck") >= 0 ? (r[colIndex("deck")] || "") : "";
-      english = colIndex("english") >= 0 ? (r[colIndex("english")] || "") : "";
-      german  = colIndex("german")  >= 0 ? (r[colIndex("german")]  || "") : "";
-      article = colIndex("article") >= 0 ? (r[colIndex("article")] || "") : "";
-      plural  = colIndex("plural")  >= 0 ? (r[colIndex("plural")]  || "") : "";
-      example = colIndex("example") >= 0 ? (r[colIndex("example")] || "") : "";
-      notes   = colIndex("notes")   >= 0 ? (r[colIndex("notes")]   || "") : "";
-    } else {
-      english = r[0] || "";
-      german  = r[1] || "";
-      article = r[2] || "";
-      plural  = r[3] || "";
-      example = r[4] || "";
-      notes   = r[5] || "";
-      deckName = "";
+function wireSearch() {
+  $("#globalSearch").oninput = () => renderSearch();
+  $("#btnSaveFilter").onclick = saveSearchAsFilter;
+  renderSavedFilters();
+}
+
+/** --------------------------
+ *  Import / Export
+ *  -------------------------- */
+const CSV_FIELDS = ["deck","english","german","article","plural","example","notes","tags","type",...VERB_FIELDS];
+const ARTICLES = ["der","die","das"];
+let csvImport = null; // { rows, hasHeader, mapping: field per column ("" = ignore) }
+
+function dupKey(x) {
+  return `${(x.article || "").toLowerCase()}|${foldGerman(x.german)}`;
+}
+
+async function loadCsvFile() {
+  const file = $("#csvFile").files?.[0];
+  csvImport = null;
+  $("#importPreviewArea").classList.add("hidden");
+  $("#importMsg").textContent = "";
+  if (!file) return;
+
+  const rows = parseCSV(await file.text()).filter(r => r.some(x => (x || "").trim() !== ""));
+  if (rows.length === 0) { $("#importMsg").textContent = "CSV appears empty."; return; }
+
+  const hasHeader = rows[0].some(h => csvField(h));
+  csvImport = { rows, hasHeader, mapping: guessMapping(rows[0], hasHeader) };
+  $("#csvHasHeader").checked = hasHeader;
+  $("#importPreviewArea").classList.remove("hidden");
+  await renderImportPreview();
+}
+
+// Header cell → field name, ignoring case ("presentdu" → "presentDu").
+function csvField(header) {
+  const name = (header || "").trim().toLowerCase();
+  return CSV_FIELDS.find(f => f.toLowerCase() === name) || "";
+}
+
+// Header names map to fields; without a header, columns are assumed to be
+// in CSV_FIELDS order without the deck: english,german,article,plural,...
+function guessMapping(firstRow, hasHeader) {
+  const positional = CSV_FIELDS.slice(1);
+  return firstRow.map((h, i) => hasHeader ? csvField(h) : positional[i] || "");
+}
+
+// Validates every row against the current mapping and sorts it into adds,
+// updates or skips. Duplicates (same article + German word, umlaut-folded)
+// are looked for in the target deck and earlier rows of the file.
+async function planImport() {
+  const { rows, hasHeader, mapping } = csvImport;
+  const fallbackDeckId = $("#importDeckSelect").value || selectedDeckId;
+  const dupMode = $("#importDupMode").value;
+  const plan = { newDecks: [], adds: [], updates: [], skipped: 0, merged: 0, duplicates: 0, issues: [] };
+
+  const deckKeys = new Map(); // deckId -> Map(dupKey -> card)
+  const existingIn = async (deckId) => {
+    if (!deckKeys.has(deckId)) {
+      const m = new Map();
+      for (const c of await getCardsByDeck(db, deckId)) m.set(dupKey(c), c);
+      deckKeys.set(deckId, m);
     }
+    return deckKeys.get(deckId);
+  };
+  const pending = new Map(); // deck + dupKey -> add entry from an earlier row
+  const updates = new Map(); // existing card id -> its update entry, one per card so undo is exact
 
-    const fallbackDeckId = $("#importDeckSelect").value || selectedDeckId;
-    let deckId = fallbackDeckId;
-
-    const trimmedDeck = (deckName || "").trim();
-    if (trimmedDeck) {
-      // find or create deck by name
-      const existing = decks.find(d => d.name.toLowerCase() === trimmedDeck.toLowerCase());
-      if (existing) deckId = existing.id;
-      else if (createdDeckIds.has(trimmedDeck)) deckId = createdDeckIds.get(trimmedDeck);
-      else {
-        const nd = await addDeck(db, trimmedDeck);
-        createdDeckIds.set(trimmedDeck, nd.id);
-        deckId = nd.id;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  for (let i = 0; i < dataRows.length; i++) {
+    const line = i + (hasHeader ? 2 : 1);
+    const r = dataRows[i];
+    const fields = Object.fromEntries(CSV_FIELDS.slice(1).map(f => [f, ""]));
+    let deckCol = "";
+    mapping.forEach((f, col) => {
+      if (!f) return;
+      const v = (r[col] || "").trim();
+      if (f === "deck") deckCol = v;
+      else fields[f] = v;
+    });
+    fields.article = fields.article.toLowerCase();
+    fields.type = fields.type.toLowerCase();
+    fields.auxiliary = AUX_FORMS[fields.auxiliary.toLowerCase()] || fields.auxiliary.toLowerCase();
+    // Rows with verb forms are verbs even without a type column.
+    if (!fields.type && VERB_FIELDS.some(f => fields[f])) fields.type = "verb";
+
+    const problems = [];
+    if (!fields.german) problems.push("missing German word");
+    if (!fields.english) problems.push("missing English");
+    if (fields.article && !ARTICLES.includes(fields.article)) problems.push(`article "${fields.article}" isn't der/die/das`);
+    if (fields.type && !CARD_TYPES.includes(fields.type)) problems.push(`type "${fields.type}" isn't ${CARD_TYPES.join("/")}`);
+    if (fields.auxiliary && !["haben", "sein"].includes(fields.auxiliary)) problems.push(`auxiliary "${fields.auxiliary}" isn't haben/sein`);
+    if (!splitDeckPath(deckCol).length && !fallbackDeckId) problems.push("no deck");
+    if (problems.length) {
+      plan.issues.push({ line, problems });
+      plan.skipped += 1;
+      continue;
+    }
+    const { deckId, deckKey } = splitDeckPath(deckCol).length
+      ? planDeckPath(deckCol, plan.newDecks)
+      : { deckId: fallbackDeckId };
+
+    const key = dupKey(fields);
+    const pendingKey = `${deckId || "new:" + deckKey}|${key}`;
+    const existing = deckId ? (await existingIn(deckId)).get(key) : null;
+    const earlier = pending.get(pendingKey);
+    if (existing || earlier) {
+      plan.duplicates += 1;
+      if (dupMode === "skip") { plan.skipped += 1; continue; }
+      if (dupMode === "update") {
+        const target = existing ? updates.get(existing.id) : earlier;
+        if (target) {
+          for (const [k, v] of Object.entries(fields)) if (v) target.fields[k] = v;
+          plan.merged += 1;
+        } else {
+          const update = { id: existing.id, fields };
+          plan.updates.push(update);
+          updates.set(existing.id, update);
+        }
+        continue;
       }
     }
 
-    if (!deckId) continue;
-    if (!english.trim() || !german.trim()) continue;
+    const add = deckId ? { deckId, fields } : { deckKey, fields };
+    plan.adds.push(add);
+    if (!earlier) pending.set(pendingKey, add);
+  }
+  return plan;
+}
+
+// Finds the deck for a CSV path like "A1::Nouns::Household", queueing any
+// missing decks along it in `newDecks` (see importCards; `path` is only for
+// the summary). Returns { deckId } for an existing deck or { deckKey } for
+// one the import will create.
+function planDeckPath(path, newDecks) {
+  let parentId = null, parentKey = null, key = "";
+  const names = [];
+  for (const name of splitDeckPath(path)) {
+    key = key ? `${key}${DECK_SEP}${name.toLowerCase()}` : name.toLowerCase();
+    names.push(name);
+    if (!parentKey) {
+      const existing = findChildDeck(parentId, name);
+      if (existing) { parentId = existing.id; continue; }
+    }
+    if (!newDecks.some(n => n.key === key)) {
+      const where = parentKey ? { parentKey } : { parentId };
+      newDecks.push({ key, name, ...where, path: names.join(" › ") });
+    }
+    parentKey = key;
+  }
+  return parentKey ? { deckKey: parentKey } : { deckId: parentId };
+}
+
+async function renderImportPreview() {
+  if (!csvImport) return;
+  const { rows, hasHeader, mapping } = csvImport;
+  const table = $("#importPreview");
+  table.innerHTML = "";
+
+  const head = document.createElement("tr");
+  mapping.forEach((field, col) => {
+    const th = document.createElement("th");
+    const sel = document.createElement("select");
+    sel.className = "input";
+    for (const f of ["", ...CSV_FIELDS]) {
+      const opt = document.createElement("option");
+      opt.value = f;
+      opt.textContent = f || "(ignore)";
+      sel.appendChild(opt);
+    }
+    sel.value = field;
+    sel.onchange = () => {
+      csvImport.mapping[col] = sel.value;
+      renderImportPreview();
+    };
+    th.appendChild(sel);
+    if (hasHeader) {
+      const name = document.createElement("div");
+      name.className = "muted small";
+      name.textContent = rows[0][col] || "";
+      th.appendChild(name);
+    }
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  for (const r of rows.slice(hasHeader ? 1 : 0, hasHeader ? 6 : 5)) {
+    const tr = document.createElement("tr");
+    mapping.forEach((_, col) => {
+      const td = document.createElement("td");
+      td.textContent = r[col] || "";
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  }
+
+  const plan = await planImport();
+  const total = rows.length - (hasHeader ? 1 : 0);
+  $("#importSummary").textContent =
+    `${total} rows • ${plan.adds.length} to add • ${plan.updates.length + plan.merged} to update • ` +
+    `${plan.skipped} to skip (${plan.issues.length} invalid, ${plan.duplicates} duplicates)` +
+    (plan.newDecks.length ? `\nNew decks: ${plan.newDecks.map(n => n.path).join(", ")}` : "");
+
+  const issues = $("#importIssues");
+  issues.innerHTML = "";
+  for (const { line, problems } of plan.issues.slice(0, 20)) {
+    const el = document.createElement("div");
+    el.className = "meta";
+    el.textContent = `Row ${line}: ${problems.join(", ")}`;
+    issues.appendChild(el);
+  }
+  if (plan.issues.length > 20) {
+    const el = document.createElement("div");
+    el.className = "meta";
+    el.textContent = `…and ${plan.issues.length - 20} more rows with problems.`;
+    issues.appendChild(el);
+  }
+}
+
+async function importCSV() {
+  if (!csvImport) { $("#importMsg").textContent = "Choose a CSV file first."; return; }
+
+  const plan = await planImport();
+  if (plan.adds.length === 0 && plan.updates.length === 0) {
+    $("#importMsg").textContent = `Nothing to import (${plan.skipped} rows skipped).`;
+    return;
+  }
 
-    await addCard(db, deckId, { english, german, article, plural, example, notes });
-    imported += 1;
+  if (!(await snapshotBefore("import"))) return;
+
+  let result;
+  try {
+    result = await importCards(db, plan);
+  } catch (e) {
+    $("#importMsg").textContent = `Import failed, nothing was changed: ${e.message}`;
+    return;
   }
 
+  csvImport = null;
+  $("#csvFile").value = "";
+  $("#importPreviewArea").classList.add("hidden");
+
   await refreshDecks();
+  await refreshTagOptions();
   if (selectedDeckId) await loadCardsForSelectedDeck();
-  $("#importMsg").textContent = `Imported ${imported} cards.`;
-  setStatus(`Imported ${imported} cards.`);
+  const msg = `Imported: ${result.added.length} added • ${result.updated.length + plan.merged} updated • ${plan.skipped} skipped.`;
+  $("#importMsg").textContent = msg;
+  updateBadge();
+  pushUndo({
+    kind: "import",
+    label: msg,
+    run: async () => {
+      await undoImport(db, result);
+      await reloadData();
+      const undone = `Import undone: ${result.added.length} cards removed, ${result.updated.length} put back.`;
+      $("#importMsg").textContent = undone;
+      return undone;
+    }
+  });
 }
 
 async function exportDeckCSV() {
   const deckId = $("#exportDeckSelect").value;
   if (!deckId) { $("#exportMsg").textContent = "No deck selected."; return; }
   const deck = decks.find(d => d.id === deckId);
-  const cards = await getCardsByDeck(db, deckId);
+  // Subdecks come along; the deck column keeps their "::" paths.
+  const cards = await getCardsByDecks(db, descendantDeckIds(decks, deckId));
 
   const rows = [
-    ["deck","english","german","article","plural","example","notes"]
+    CSV_FIELDS
   ];
   for (const c of cards) {
     rows.push([
-      deck?.name || "",
+      deckPath(c.deckId, DECK_SEP),
       c.english || "",
       c.german || "",
       c.article || "",
       c.plural || "",
       c.example || "",
-      c.notes || ""
+      c.notes || "",
+      (c.tags || []).join(" "),
+      c.type || "noun",
+      ...VERB_FIELDS.map(f => c[f] || "")
     ]);
   }
   const csv = toCSV(rows);
@@ -688,17 +2841,381 @@ async function exportBackupJSON() {
   $("#exportMsg").textContent = `Exported full backup (JSON).`;
 }
 
+/** --------------------------
+ *  Restore points
+ *  Snapshots of exportAll() kept in IndexedDB: one a day (when anything
+ *  changed) and one before every import, restore, rollback, wipe and bulk
+ *  edit.
+ *  -------------------------- */
+const SNAPSHOT_REASONS = {
+  daily: "Daily",
+  manual: "Saved by hand",
+  import: "Before CSV import",
+  restore: "Before restoring a backup",
+  rollback: "Before rolling back",
+  wipe: "Before deleting all data",
+  bulk: "Before a bulk card change"
+};
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024*1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024*1024*1024) return `${(n / (1024*1024)).toFixed(1)} MB`;
+  return `${(n / (1024*1024*1024)).toFixed(1)} GB`;
+}
+
+// Saves a restore point before a risky action. If that fails, asks whether
+// to go ahead anyway; returns false to cancel.
+async function snapshotBefore(reason) {
+  try {
+    await addSnapshot(db, { reason, keep: settings.snapshotKeep });
+    renderSnapshots();
+    return true;
+  } catch (e) {
+    return confirm(`Couldn't save a restore point first (${e.message}). Continue anyway?`);
+  }
+}
+
+async function dailySnapshot() {
+  const last = (await getSnapshots(db)).find(s => s.reason === "daily");
+  if (last && new Date(last.createdAt).toDateString() === new Date().toDateString()) return;
+  try {
+    await addSnapshot(db, { reason: "daily", keep: settings.snapshotKeep, skipIfUnchanged: true });
+  } catch (e) {
+    setStatus(`Couldn't save today's restore point: ${e.message}`);
+  }
+}
+
+async function renderSnapshots() {
+  const list = $("#snapshotList");
+  const snaps = await getSnapshots(db);
+  list.innerHTML = "";
+  if (snaps.length === 0) {
+    list.innerHTML = `<div class="empty">No restore points yet.</div>`;
+    return;
+  }
+
+  for (const snap of snaps) {
+    const el = document.createElement("div");
+    el.className = "item";
+    el.innerHTML = `
+      <div style="min-width:0">
+        <div class="title">${escapeHtml(new Date(snap.createdAt).toLocaleString())}</div>
+        <div class="meta">
+          ${escapeHtml(SNAPSHOT_REASONS[snap.reason] || snap.reason)} • ${snap.decks} decks • ${snap.cards} cards • ${formatBytes(snap.bytes)}
+        </div>
+      </div>
+      <div class="actions">
+        <button class="btn" data-action="restore">Restore</button>
+        <button class="btn danger" data-action="delete">Delete</button>
+      </div>
+    `;
+    el.querySelector('[data-action="restore"]').onclick = () => rollbackTo(snap);
+    el.querySelector('[data-action="delete"]').onclick = async () => {
+      if (!confirm("Delete this restore point?")) return;
+      await deleteSnapshot(db, snap.id);
+      renderSnapshots();
+    };
+    list.appendChild(el);
+  }
+}
+
+async function rollbackTo(snap) {
+  const when = new Date(snap.createdAt).toLocaleString();
+  const ok = confirm(`Replace ALL decks and cards with the restore point from ${when}? Your current data is saved as a restore point first.`);
+  if (!ok) return;
+
+  let result;
+  try {
+    const backup = await readSnapshot(db, snap.id);
+    if (!(await snapshotBefore("rollback"))) return;
+    result = await restoreBackup(db, backup, "replace");
+  } catch (e) {
+    $("#snapshotMsg").textContent = `Restore failed, nothing was changed: ${e.message}`;
+    return;
+  }
+  // Cards added since the restore point were tombstoned; push that and the
+  // restored cards, and pull the server's state again.
+  resetSyncState();
+
+  study.active = false;
+  setStudyVisible(false);
+  saveSession();
+  await reloadData();
+  renderSnapshots();
+  const msg = `Rolled back to ${when}: ${result.decks} decks and ${result.cards} cards.`;
+  $("#snapshotMsg").textContent = msg;
+  setStatus(msg);
+}
+
+// Asks the browser not to evict our data under storage pressure (granted
+// silently or after a prompt, depending on the browser) and shows usage.
+async function renderStorageInfo({ requestPersist = false } = {}) {
+  const el = $("#storageInfo");
+  if (!navigator.storage?.estimate) {
+    el.textContent = "This browser doesn't report storage use.";
+    return;
+  }
+  let persisted = await navigator.storage.persisted?.();
+  if (!persisted && requestPersist && navigator.storage.persist) {
+    persisted = await navigator.storage.persist().catch(() => false);
+  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  el.textContent = `Using ${formatBytes(usage)}${quota ? ` of ${formatBytes(quota)}` : ""} • ` +
+    (persisted ? "storage is persistent." : "the browser may clear this data when space runs low; keep backups.");
+}
+
+/** --------------------------
+ *  Restore backup (JSON)
+ *  -------------------------- */
+let pendingBackup = null;
+
+async function loadBackupFile() {
+  const file = $("#backupFile").files?.[0];
+  pendingBackup = null;
+  $("#restoreActions").classList.add("hidden");
+  $("#restoreSummary").textContent = "";
+  if (!file) return;
+
+  try {
+    pendingBackup = validateBackup(JSON.parse(await file.text()));
+  } catch (e) {
+    $("#restoreMsg").textContent = `Can't restore: ${e instanceof SyntaxError ? "file is not valid JSON." : e.message}`;
+    return;
+  }
+
+  const reviewed = pendingBackup.cards.filter(c => (c.srs.reps + c.srs.lapses) > 0).length;
+  const when = pendingBackup.exportedAt ? new Date(pendingBackup.exportedAt).toLocaleString() : "unknown date";
+  $("#restoreSummary").textContent =
+    `Backup from ${when}: ${pendingBackup.decks.length} decks • ${pendingBackup.cards.length} cards • ${reviewed} with review history`;
+  $("#restoreActions").classList.remove("hidden");
+  $("#restoreMsg").textContent = "";
+}
+
+// Rereads decks, tags and cards after data changed underneath the UI.
+async function reloadData() {
+  await refreshDecks();
+  await refreshTagOptions();
+  if (!decks.some(d => d.id === selectedDeckId)) selectedDeckId = decks[0]?.id || null;
+  renderDeckSelects();
+  await loadCardsForSelectedDeck();
+  updateBadge();
+}
+
+async function restoreFromBackup(mode) {
+  if (!pendingBackup) return;
+  if (mode === "replace") {
+    const ok = confirm("Replace ALL decks and cards on this device with the backup?");
+    if (!ok) return;
+  }
+  if (!(await snapshotBefore("restore"))) return;
+
+  let result;
+  try {
+    result = await restoreBackup(db, pendingBackup, mode);
+  } catch (e) {
+    $("#restoreMsg").textContent = `Restore failed, nothing was changed: ${e.message}`;
+    return;
+  }
+  resetSyncState();
+
+  pendingBackup = null;
+  $("#backupFile").value = "";
+  $("#restoreActions").classList.add("hidden");
+  $("#restoreSummary").textContent = "";
+
+  if (mode === "replace") {
+    study.active = false;
+    setStudyVisible(false);
+    saveSession();
+  }
+  await reloadData();
+
+  const msg = mode === "replace"
+    ? `Restored ${result.decks} decks and ${result.cards} cards.`
+    : `Merged ${result.decks} new decks and ${result.cards} cards (${result.kept} kept with newer local progress).`;
+  $("#restoreMsg").textContent = msg;
+  setStatus(msg);
+}
+
+/** --------------------------
+ *  Sync (optional; protocol in SYNC.md)
+ *  The device remembers the server's cursor from the last pull and the
+ *  local time the last push started; only later changes are sent.
+ *  -------------------------- */
+const SYNC_KEY = "gfc_sync_v1";
+function loadSyncState() {
+  try {
+    return { cursor: 0, pushedAt: 0, lastSync: 0, ...(JSON.parse(localStorage.getItem(SYNC_KEY)) || {}) };
+  } catch { return { cursor: 0, pushedAt: 0, lastSync: 0 }; }
+}
+function saveSyncState(s) {
+  localStorage.setItem(SYNC_KEY, JSON.stringify(s));
+}
+// Starts over with the sync server: the next sync pushes every local record
+// and pulls everything. Needed after local data is replaced wholesale.
+function resetSyncState() {
+  saveSyncState({ cursor: 0, pushedAt: 0, lastSync: 0 });
+}
+
+let syncing = false;
+
+// `quiet` syncs (on launch, when back online) don't complain when the
+// server can't be reached: the app works the same without it.
+async function syncNow({ quiet = false } = {}) {
+  const url = settings.syncUrl.trim().replace(/\/+$/, "");
+  if (!url || syncing) return;
+  if (study.active) {
+    if (!quiet) $("#syncMsg").textContent = "Finish the study session first.";
+    return;
+  }
+
+  syncing = true;
+  $("#syncMsg").textContent = "Syncing…";
+  const state = loadSyncState();
+  const startedAt = Date.now();
+  try {
+    const changes = await getChangesSince(db, state.pushedAt);
+    const headers = { "Content-Type": "application/json" };
+    if (settings.syncToken) headers.Authorization = `Bearer ${settings.syncToken}`;
+    const res = await fetch(`${url}/sync`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ since: state.cursor, changes })
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `server answered ${res.status}`);
+
+    const result = await applySyncChanges(db, body.changes || {});
+    saveSyncState({ cursor: body.cursor, pushedAt: startedAt, lastSync: Date.now() });
+
+    const pushed = changes.decks.length + changes.cards.length + changes.tombstones.length;
+    const pulled = result.decks + result.cards + result.deleted;
+    if (pulled) await reloadData();
+    $("#syncMsg").textContent = `Synced ${new Date().toLocaleTimeString()}: ${pushed} sent • ${pulled} received.`;
+  } catch (e) {
+    $("#syncMsg").textContent = quiet ? "Sync server not reachable; will try again later." : `Sync failed: ${e.message}`;
+    if (!quiet) setStatus("Sync failed.");
+  } finally {
+    syncing = false;
+  }
+}
+
 /** --------------------------
  *  Gender quiz: answer
  *  -------------------------- */
 function onGenderChoice(choice) {
   if (!study.current || study.mode !== "gender") return;
-  const correct = (study.current.article || "").toLowerCase().trim();
+  const correct = (study.current.card.article || "").toLowerCase().trim();
   study.genderAnswered = true;
   study.genderCorrect = (choice === correct) && !!correct;
   renderCurrentCard();
 }
 
+/** --------------------------
+ *  Reminders and badge
+ *  The app icon badge shows the total due across decks. A daily reminder
+ *  goes out as a notification from sw.js (Periodic Background Sync, where
+ *  the browser has it), from a timer while the app is open, or otherwise
+ *  as a note the next time the app is opened.
+ *  -------------------------- */
+async function updateBadge() {
+  if (!("setAppBadge" in navigator)) return;
+  const due = countDue(await getAllCards(db), directionTracks());
+  try {
+    await (due ? navigator.setAppBadge(due) : navigator.clearAppBadge());
+  } catch { /* not installed, or not allowed */ }
+}
+
+// What sw.js needs to know, kept in IndexedDB since it can't read localStorage.
+async function saveReminderMeta() {
+  const prev = await getMeta(db, "reminders");
+  await setMeta(db, "reminders", {
+    ...prev,
+    enabled: settings.reminders,
+    time: settings.reminderTime,
+    tracks: directionTracks()
+  });
+}
+
+// true if the browser will wake sw.js for reminders.
+async function schedulePeriodicReminder() {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (!reg?.periodicSync) return false;
+  try {
+    if (!settings.reminders) {
+      await reg.periodicSync.unregister(REMINDER_TAG);
+      return false;
+    }
+    const perm = await navigator.permissions.query({ name: "periodic-background-sync" });
+    if (perm.state !== "granted") return false;
+    await reg.periodicSync.register(REMINDER_TAG, { minInterval: 12*60*60*1000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function remindIfDue() {
+  const reminders = await getMeta(db, "reminders");
+  if (!reminderDue(reminders)) return;
+  const due = countDue(await getAllCards(db), directionTracks());
+  if (!due) return;
+  await setMeta(db, "reminders", { ...reminders, lastShown: dayKey() });
+
+  const text = `${due} card${due === 1 ? " is" : "s are"} due today.`;
+  $("#reminderNote").textContent = `🔔 ${text}`;
+  $("#reminderNote").classList.remove("hidden");
+  if (document.hidden && window.Notification?.permission === "granted") {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    reg?.showNotification("German Flashcards", { body: text, tag: REMINDER_TAG });
+  }
+}
+
+let reminderTimer = null;
+// Wakes up at the next reminder time while the app stays open.
+function scheduleReminderTimer() {
+  clearTimeout(reminderTimer);
+  if (!settings.reminders) return;
+  let at = reminderAt(settings.reminderTime);
+  if (at <= Date.now()) at += 24*60*60*1000;
+  reminderTimer = setTimeout(async () => {
+    await remindIfDue();
+    scheduleReminderTimer();
+  }, at - Date.now());
+}
+
+async function applyReminderSettings() {
+  await saveReminderMeta();
+  scheduleReminderTimer();
+  const background = await schedulePeriodicReminder();
+  const perm = window.Notification?.permission;
+  $("#reminderMsg").textContent = !settings.reminders ? ""
+    : background && perm === "granted" ? "You'll get a notification even with the app closed."
+    : perm === "granted" ? "You'll get a notification while the app is open, or a note next time you open it."
+    : "Notifications are off, so the reminder shows when you open the app.";
+}
+
+function wireReminders() {
+  $("#reminderEnabled").checked = settings.reminders;
+  $("#reminderTime").value = settings.reminderTime;
+  $("#reminderEnabled").onchange = async () => {
+    settings.reminders = $("#reminderEnabled").checked;
+    saveSettings(settings);
+    if (settings.reminders && window.Notification?.permission === "default") {
+      await Notification.requestPermission().catch(() => {});
+    }
+    await applyReminderSettings();
+    setStatus(settings.reminders ? `Daily reminder at ${settings.reminderTime}.` : "Daily reminder off.");
+  };
+  $("#reminderTime").onchange = async () => {
+    settings.reminderTime = $("#reminderTime").value || "19:00";
+    saveSettings(settings);
+    await applyReminderSettings();
+  };
+  $("#reminderNote").onclick = () => $("#reminderNote").classList.add("hidden");
+}
+
 /** --------------------------
  *  Wiring
  *  -------------------------- */
@@ -722,29 +3239,36 @@ function wireTheme() {
 function wireDecks() {
   $("#btnAddDeck").onclick = async () => {
     const name = $("#newDeckName").value.trim();
-    if (!name) return;
-    await addDeck(db, name);
+    if (!splitDeckPath(name).length) return;
+    await ensureDeckPath(name);
     $("#newDeckName").value = "";
     await refreshDecks();
     setStatus("Deck added.");
   };
 
   $("#cardSearch").oninput = () => renderCardList();
+  $("#leechOnly").onchange = () => renderCardList();
 
   $("#btnClearCard").onclick = () => clearCardForm();
+  $("#fType").onchange = () => syncCardFormType();
 
   $("#cardForm").onsubmit = async (e) => {
     e.preventDefault();
     if (!selectedDeckId) { alert("Select a deck first."); return; }
 
     const fields = {
+      type: $("#fType").value,
       english: $("#fEnglish").value,
       german: $("#fGerman").value,
       article: $("#fArticle").value,
       plural: $("#fPlural").value,
       example: $("#fExample").value,
-      notes: $("#fNotes").value
+      notes: $("#fNotes").value,
+      tags: $("#fTags").value
     };
+    // Only the fields for the chosen type are kept.
+    for (const [f, sel] of Object.entries(VERB_INPUTS)) fields[f] = fields.type === "verb" ? $(sel).value : "";
+    if (fields.type === "verb") fields.article = fields.plural = "";
 
     const id = $("#cardId").value;
     if (id) {
@@ -757,6 +3281,7 @@ function wireDecks() {
 
     clearCardForm();
     await loadCardsForSelectedDeck();
+    await refreshTagOptions();
   };
 
   $("#studyDeckSelect").onchange = async () => {
@@ -771,16 +3296,41 @@ function wireDecks() {
 }
 
 function wireStudy() {
-  $("#modeFlash").onclick = () => {
-    $("#modeFlash").classList.add("active");
-    $("#modeGender").classList.remove("active");
+  $$("#studyModes .seg").forEach(b => {
+    b.onclick = () => {
+      $$("#studyModes .seg").forEach(x => x.classList.toggle("active", x === b));
+      $("#caseOptions").classList.toggle("hidden", b.dataset.mode !== "case");
+      $("#listenOptions").classList.toggle("hidden", b.dataset.mode !== "listen");
+      if (b.dataset.mode === "case") renderCaseStats();
+    };
+  });
+
+  $("#caseFocus").value = settings.caseFocus;
+  $("#caseFocus").onchange = () => {
+    settings.caseFocus = $("#caseFocus").value;
+    saveSettings(settings);
+  };
+  $("#listenSource").value = settings.listenSource;
+  $("#listenSource").onchange = () => {
+    settings.listenSource = $("#listenSource").value;
+    saveSettings(settings);
   };
-  $("#modeGender").onclick = () => {
-    $("#modeGender").classList.add("active");
-    $("#modeFlash").classList.remove("active");
+  $("#btnReplay").onclick = () => { if (study.listen) speakText(study.listen.text); };
+  $("#btnReplaySlow").onclick = () => { if (study.listen) speakText(study.listen.text, SLOW_RATE); };
+
+  $("#caseAdjectives").checked = settings.caseAdjectives;
+  $("#caseAdjectives").onchange = () => {
+    settings.caseAdjectives = $("#caseAdjectives").checked;
+    saveSettings(settings);
   };
 
   $("#btnStartSession").onclick = startSession;
+  $("#btnResume").onclick = resumeSession;
+  $("#btnDiscardSession").onclick = () => {
+    discardSavedSession();
+    setStatus("Saved session discarded.");
+  };
+  $("#btnStartCustom").onclick = startCustomSession;
 
   $("#flashcard").onclick = () => {
     if (!study.active || !study.current) return;
@@ -790,40 +3340,76 @@ function wireStudy() {
     }
   };
   $("#flashcard").onkeydown = (e) => {
-    if (e.key === "Enter" || e.key === " ") $("#flashcard").click();
+    if (e.key !== "Enter" && e.key !== " ") return;
+    // Handled here, so the document-level Space shortcut doesn't flip it back.
+    e.preventDefault();
+    $("#flashcard").click();
   };
 
   $("#btnShowAnswer").onclick = () => {
     if (!study.active || !study.current) return;
     if (study.mode === "flash") {
       study.flipped = !study.flipped;
+    } else if (TYPED_MODES.includes(study.mode)) {
+      checkTyped();
+      return;
+    } else if (study.mode === "choice") {
+      if (study.choice.picked == null) pickChoice(-1);
+      else gradeCurrent(study.choice.grade);
+      return;
     } else {
       // reveal correct article
       study.genderAnswered = true;
       study.genderCorrect = false; // if they haven't chosen, it's "unknown"
-      $("#genderResult").textContent = `Answer: ${study.current.article || "(none)"}`;
+      $("#genderResult").textContent = `Answer: ${study.current.card.article || "(none)"}`;
     }
     renderCurrentCard();
   };
 
   $("#btnSpeak").onclick = () => {
     if (!study.current) return;
-    speakGerman(study.current);
+    if (study.listen) speakText(study.listen.text);
+    else speakGerman(study.current.card);
   };
 
   $("#btnAgain").onclick = () => gradeCurrent("again");
+  $("#btnHard").onclick = () => gradeCurrent("hard");
   $("#btnGood").onclick = () => gradeCurrent("good");
   $("#btnEasy").onclick = () => gradeCurrent("easy");
 
+  $("#typedAnswer").onkeydown = (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    checkTyped();
+  };
+  // Once checked the input is disabled, so a second Enter lands on the document.
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && study.active && study.typed && e.target === document.body) {
+      gradeCurrent(study.typed.grade);
+    }
+  });
+
   $$("#genderChoices button").forEach(b => {
     b.onclick = () => onGenderChoice(b.dataset.gender);
   });
 }
 
 function wireImportExport() {
+  $("#csvFile").onchange = loadCsvFile;
+  $("#csvHasHeader").onchange = () => {
+    if (!csvImport) return;
+    csvImport.hasHeader = $("#csvHasHeader").checked;
+    csvImport.mapping = guessMapping(csvImport.rows[0], csvImport.hasHeader);
+    renderImportPreview();
+  };
+  $("#importDupMode").onchange = renderImportPreview;
+  $("#importDeckSelect").onchange = renderImportPreview;
   $("#btnImportCsv").onclick = importCSV;
   $("#btnExportCsv").onclick = exportDeckCSV;
   $("#btnExportJson").onclick = exportBackupJSON;
+  $("#backupFile").onchange = loadBackupFile;
+  $("#btnRestoreReplace").onclick = () => restoreFromBackup("replace");
+  $("#btnRestoreMerge").onclick = () => restoreFromBackup("merge");
 }
 
 function wireSettings() {
@@ -831,22 +3417,119 @@ function wireSettings() {
   $("#frontSetting").onchange = () => {
     settings.front = $("#frontSetting").value;
     saveSettings(settings);
+    saveReminderMeta();
+    updateBadge();
+    renderDeckList();
+    renderStudyStats();
     setStatus(`Front side: ${settings.front}`);
   };
 
+  $("#syncUrl").value = settings.syncUrl;
+  $("#syncToken").value = settings.syncToken;
+  $("#syncUrl").onchange = () => {
+    settings.syncUrl = $("#syncUrl").value.trim();
+    saveSettings(settings);
+    // A different server has its own cursor.
+    saveSyncState({ cursor: 0, pushedAt: 0, lastSync: 0 });
+  };
+  $("#syncToken").onchange = () => {
+    settings.syncToken = $("#syncToken").value;
+    saveSettings(settings);
+  };
+  $("#btnSyncNow").onclick = () => {
+    if (!settings.syncUrl) { $("#syncMsg").textContent = "Enter the sync server's address first."; return; }
+    syncNow();
+  };
+  window.addEventListener("online", () => syncNow({ quiet: true }));
+
   $("#btnResetAll").onclick = async () => {
     const ok = confirm("This will delete ALL decks and cards on this device. Continue?");
     if (!ok) return;
+    if (!(await snapshotBefore("wipe"))) return;
     await wipeAll(db);
+    undoStack.length = 0;
+    renderTrash();
+    // Start over with the sync server too, so the next sync pulls everything.
+    resetSyncState();
     selectedDeckId = null;
     selectedDeckCards = [];
+    selectedTreeCards = [];
     study.active = false;
     setStudyVisible(false);
+    saveSession();
     await ensureStarterDeck();
     await refreshDecks();
+    await refreshTagOptions();
     await loadCardsForSelectedDeck();
-    setStatus("All data deleted (starter deck restored).");
+    setStatus("All data deleted (starter deck restored). A restore point was kept.");
+    renderSnapshots();
+  };
+
+  $("#snapshotKeep").value = settings.snapshotKeep;
+  $("#snapshotKeep").onchange = async () => {
+    const n = parseInt($("#snapshotKeep").value, 10);
+    settings.snapshotKeep = clamp(Number.isFinite(n) ? n : 10, 1, 100);
+    $("#snapshotKeep").value = settings.snapshotKeep;
+    saveSettings(settings);
+    await pruneSnapshots(db, settings.snapshotKeep);
+    renderSnapshots();
   };
+  $("#btnSnapshotNow").onclick = async () => {
+    try {
+      await addSnapshot(db, { reason: "manual", keep: settings.snapshotKeep });
+      $("#snapshotMsg").textContent = "Restore point saved.";
+    } catch (e) {
+      $("#snapshotMsg").textContent = `Couldn't save a restore point: ${e.message}`;
+    }
+    renderSnapshots();
+  };
+
+  $("#leechThreshold").value = settings.leechThreshold;
+  $("#leechThreshold").onchange = () => {
+    const n = parseInt($("#leechThreshold").value, 10);
+    settings.leechThreshold = clamp(Number.isFinite(n) ? n : 8, 1, 99);
+    $("#leechThreshold").value = settings.leechThreshold;
+    saveSettings(settings);
+    renderDeckList();
+    if (selectedDeckId) renderCardList();
+    setStatus(`Leech threshold: ${settings.leechThreshold} lapses`);
+  };
+
+  const schedSel = $("#schedulerSetting");
+  for (const sch of SCHEDULERS) {
+    const opt = document.createElement("option");
+    opt.value = sch.id;
+    opt.textContent = sch.label;
+    schedSel.appendChild(opt);
+  }
+  schedSel.value = getScheduler(settings.scheduler).id;
+  schedSel.onchange = () => {
+    settings.scheduler = schedSel.value;
+    saveSettings(settings);
+    if (study.active) renderCurrentCard();
+    setStatus(`Scheduler: ${getScheduler(settings.scheduler).label}`);
+  };
+
+  $("#learningSteps").value = settings.learningSteps;
+  $("#learningSteps").onchange = () => {
+    const steps = parseSteps($("#learningSteps").value);
+    settings.learningSteps = steps.map(m => `${m}m`).join(" ");
+    $("#learningSteps").value = settings.learningSteps;
+    saveSettings(settings);
+    setStatus(steps.length ? `Learning steps: ${settings.learningSteps}` : "Learning steps off.");
+  };
+
+  for (const [id, key] of [["#newPerDay", "newPerDay"], ["#reviewsPerDay", "reviewsPerDay"]]) {
+    $(id).value = settings[key];
+    $(id).onchange = () => {
+      const n = parseInt($(id).value, 10);
+      settings[key] = clamp(Number.isFinite(n) ? n : 0, 0, 9999);
+      $(id).value = settings[key];
+      saveSettings(settings);
+      renderStudyStats();
+      setStatus("Daily limits updated.");
+    };
+  }
 
   $("#ttsVoice").onchange = () => {
     settings.ttsVoiceURI = $("#ttsVoice").value;
@@ -865,6 +3548,7 @@ function wireSettings() {
   db = await openDB();
   await ensureStarterDeck();
   await refreshDecks();
+  await refreshTagOptions();
 
   // choose default selected deck
   selectedDeckId = decks[0]?.id || null;
@@ -877,6 +3561,13 @@ function wireSettings() {
   wireStudy();
   wireImportExport();
   wireSettings();
+  wireUndo();
+  wireShortcuts();
+  wireBulk();
+  wireDuplicates();
+  wireSearch();
+  wireReminders();
+  renderResumeOffer();
 
   // Voices can load async
   if ("speechSynthesis" in window) {
@@ -887,4 +3578,14 @@ function wireSettings() {
   }
 
   setStatus("Ready.");
+  renderAppVersion();
+  updateBadge();
+  await applyReminderSettings();
+  await remindIfDue();
+  await purgeTrash(db, settings.trashDays);
+  renderTrash();
+  await dailySnapshot();
+  renderSnapshots();
+  renderStorageInfo({ requestPersist: true });
+  syncNow({ quiet: true });
 })();
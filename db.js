@@ -2,9 +2,43 @@
 // Schema v1:
 // - decks: { id, name, createdAt }
 // - cards: { id, deckId, english, german, article, plural, example, notes, createdAt, srs:{due, intervalDays, ease, reps, lapses} }
+//   cards may also carry srsTracks: { [track]: srs } — separate schedules for
+//   skills like plurals, created lazily.
+// Schema v2:
+// - reviews: { id, cardId, deckId, track, at, grade, before:{due, intervalDays, ease}, after:{due, intervalDays, ease} }
+// Schema v3:
+// - card.srs is the production (EN→DE) schedule; srsTracks.recognition is DE→EN.
+// Schema v4:
+// - card.tags: string[] (lowercase, no spaces), indexed by_tag (multiEntry).
+// Schema v5:
+// - card.type: "noun" | "verb" ("noun" covers every non-verb). Verb cards use
+//   german for the infinitive plus presentDu, presentEr (stem changes),
+//   preterite, participle and auxiliary ("haben" | "sein"); the fields are
+//   empty strings on other cards.
+// Schema v6 (sync, see sync.js):
+// - decks and cards carry updatedAt and fieldTimes: { [field]: ms }
+// - tombstones: { id, kind: "deck" | "card", deletedAt } for deleted records
+// Schema v7:
+// - snapshots: { id, createdAt, reason, decks, cards, bytes, fingerprint,
+//   encoding: "gzip" | "json", data: ArrayBuffer | string } — restore points
+//   holding an exportAll() backup. Not user data: wipes, restores and sync
+//   leave them alone.
+// Schema v8:
+// - trash: { id, kind: "card" | "cards" | "deck" | "merge", label, deletedAt, decks, cards, reviews }
+//   one entry per delete (or merge) holding every record it removed or
+//   changed, for undo; purged after a number of days (purgeTrash).
+// Schema v9:
+// - meta: { key, value } for device state the service worker reads too
+//   (see due.js). Not synced, kept by wipeAll.
+// Decks may carry parentId (another deck's id) to form a tree; null or
+// missing means top level. No index is needed, decks are always read whole.
+
+import { reviewedAt, mergeRecord, sameRecord, revives, META } from "./sync.js";
+
+export { reviewedAt };
 
 const DB_NAME = "germanFlashcardsDB";
-const DB_VERSION = 1;
+const DB_VERSION = 9;
 
 function reqToPromise(req) {
   return new Promise((resolve, reject) => {
@@ -21,21 +55,90 @@ function txDone(tx) {
   });
 }
 
+// Roll back a transaction after a thrown error; it may already be aborted.
+function abortQuietly(tx) {
+  try { tx.abort(); } catch { /* already finished */ }
+}
+
+function upgradeCard(card, oldVersion) {
+  if (oldVersion < 3) {
+    // Existing progress was built on the old single schedule, which
+    // becomes EN→DE; recognition starts fresh.
+    card.srsTracks = { ...(card.srsTracks || {}) };
+    card.srsTracks.recognition ??= defaultSRS();
+  }
+  if (oldVersion < 4) {
+    if (!Array.isArray(card.tags)) card.tags = [];
+  }
+  if (oldVersion < 5) {
+    card.type ??= "noun";
+    for (const f of VERB_FIELDS) card[f] ??= "";
+  }
+  return card;
+}
+
 export async function openDB() {
   const req = indexedDB.open(DB_NAME, DB_VERSION);
-  req.onupgradeneeded = () => {
+  req.onupgradeneeded = (e) => {
     const db = req.result;
 
-    const decks = db.createObjectStore("decks", { keyPath: "id" });
-    decks.createIndex("by_name", "name", { unique: false });
+    if (e.oldVersion < 1) {
+      const decks = db.createObjectStore("decks", { keyPath: "id" });
+      decks.createIndex("by_name", "name", { unique: false });
+
+      const cards = db.createObjectStore("cards", { keyPath: "id" });
+      cards.createIndex("by_deck", "deckId", { unique: false });
+      cards.createIndex("by_due", "srs.due", { unique: false });
+    }
+
+    if (e.oldVersion < 2) {
+      const reviews = db.createObjectStore("reviews", { keyPath: "id" });
+      reviews.createIndex("by_card", "cardId", { unique: false });
+      reviews.createIndex("by_deck", "deckId", { unique: false });
+    }
+
+    if (e.oldVersion < 4) {
+      req.transaction.objectStore("cards").createIndex("by_tag", "tags", { unique: false, multiEntry: true });
+    }
+
+    if (e.oldVersion < 6) {
+      db.createObjectStore("tombstones", { keyPath: "id" });
+    }
+
+    if (e.oldVersion < 7) {
+      db.createObjectStore("snapshots", { keyPath: "id" });
+    }
 
-    const cards = db.createObjectStore("cards", { keyPath: "id" });
-    cards.createIndex("by_deck", "deckId", { unique: false });
-    cards.createIndex("by_due", "srs.due", { unique: false });
+    if (e.oldVersion < 8) {
+      db.createObjectStore("trash", { keyPath: "id" });
+    }
+
+    if (e.oldVersion < 9) {
+      db.createObjectStore("meta", { keyPath: "key" });
+    }
+
+    // Card records from older versions are upgraded in a single pass, so
+    // the steps can't overwrite each other's changes.
+    if (e.oldVersion >= 1) {
+      const cursorReq = req.transaction.objectStore("cards").openCursor();
+      cursorReq.onsuccess = () => {
+        const cur = cursorReq.result;
+        if (!cur) return;
+        cur.update(upgradeCard(cur.value, e.oldVersion));
+        cur.continue();
+      };
+    }
   };
   return reqToPromise(req);
 }
 
+// "Food, kitchen  a1" or ["Food", "kitchen"] → ["food", "kitchen", "a1"]
+export function parseTags(input) {
+  const parts = Array.isArray(input) ? input : (input || "").split(/[\s,;]+/);
+  const tags = parts.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
 export function uid() {
   return Math.random().toString(16).slice(2) + "-" + Date.now().toString(16);
 }
@@ -49,8 +152,24 @@ export async function getAllDecks(db) {
   return decks;
 }
 
-export async function addDeck(db, name) {
-  const deck = { id: uid(), name: name.trim(), createdAt: Date.now() };
+// Records what changed for sync: fieldTimes for each field whose value
+// differs from `before`, and updatedAt either way.
+function touch(rec, before, now = Date.now()) {
+  for (const [k, v] of Object.entries(before)) {
+    if (JSON.stringify(rec[k]) === JSON.stringify(v)) continue;
+    rec.fieldTimes = { ...(rec.fieldTimes || {}), [k]: now };
+  }
+  rec.updatedAt = now;
+  return rec;
+}
+
+function newDeck(name, parentId = null) {
+  const now = Date.now();
+  return { id: uid(), name: name.trim(), parentId, createdAt: now, updatedAt: now };
+}
+
+export async function addDeck(db, name, parentId = null) {
+  const deck = newDeck(name, parentId);
   const tx = db.transaction("decks", "readwrite");
   tx.objectStore("decks").add(deck);
   await txDone(tx);
@@ -62,28 +181,87 @@ export async function updateDeck(db, id, name) {
   const store = tx.objectStore("decks");
   const deck = await reqToPromise(store.get(id));
   if (!deck) throw new Error("Deck not found");
+  const before = { name: deck.name };
   deck.name = name.trim();
-  store.put(deck);
+  store.put(touch(deck, before));
   await txDone(tx);
   return deck;
 }
 
-export async function deleteDeck(db, id) {
-  const tx = db.transaction(["decks","cards"], "readwrite");
-  tx.objectStore("decks").delete(id);
-
-  const cardsStore = tx.objectStore("cards");
-  const idx = cardsStore.index("by_deck");
-  const range = IDBKeyRange.only(id);
-  const cursorReq = idx.openCursor(range);
+function deleteByIndex(store, indexName, key, onDelete) {
+  const cursorReq = store.index(indexName).openCursor(IDBKeyRange.only(key));
   cursorReq.onsuccess = (e) => {
     const cur = e.target.result;
     if (cur) {
+      onDelete?.(cur.value);
       cur.delete();
       cur.continue();
     }
   };
+}
+
+function tombstone(kind, id, deletedAt = Date.now()) {
+  return { id, kind, deletedAt };
+}
+
+// `id` plus the ids of all its subdecks, at any depth.
+export function descendantDeckIds(decks, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    for (const d of decks) if (d.parentId === ids[i] && !ids.includes(d.id)) ids.push(d.id);
+  }
+  return ids;
+}
+
+// Makes top level every deck whose parent chain leads back to itself
+// (A under B, B under A), checking decks in order so the first one met on
+// each loop is cut loose. Changes the decks in place; returns those changed.
+function breakParentCycles(decks) {
+  const byId = new Map(decks.map(d => [d.id, d]));
+  const changed = [];
+  for (const deck of decks) {
+    const seen = new Set();
+    let id = deck.parentId;
+    while (id && id !== deck.id && byId.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = byId.get(id).parentId;
+    }
+    if (id && id === deck.id) {
+      deck.parentId = null;
+      changed.push(deck);
+    }
+  }
+  return changed;
+}
+
+function trashEntry(kind, label, { decks = [], cards = [], reviews = [] }) {
+  return { id: uid(), kind, label, deletedAt: Date.now(), decks, cards, reviews };
+}
+
+// Deletes a deck with all its subdecks, their cards and review history.
+// Everything goes to the trash first; returns the trash entry's id.
+export async function deleteDeck(db, id) {
+  const tx = db.transaction(["decks","cards","reviews","tombstones","trash"], "readwrite");
+  const decksStore = tx.objectStore("decks");
+  const tombstones = tx.objectStore("tombstones");
+  const all = await reqToPromise(decksStore.getAll());
+  const ids = descendantDeckIds(all, id);
+  const removed = { decks: all.filter(d => ids.includes(d.id)), cards: [], reviews: [] };
+  for (const deckId of ids) {
+    removed.cards.push(...await reqToPromise(tx.objectStore("cards").index("by_deck").getAll(deckId)));
+    removed.reviews.push(...await reqToPromise(tx.objectStore("reviews").index("by_deck").getAll(deckId)));
+  }
+  const entry = trashEntry("deck", all.find(d => d.id === id)?.name || "", removed);
+  tx.objectStore("trash").put(entry);
+
+  for (const deckId of ids) {
+    decksStore.delete(deckId);
+    tombstones.put(tombstone("deck", deckId));
+    deleteByIndex(tx.objectStore("cards"), "by_deck", deckId, c => tombstones.put(tombstone("card", c.id)));
+    deleteByIndex(tx.objectStore("reviews"), "by_deck", deckId);
+  }
   await txDone(tx);
+  return entry.id;
 }
 
 export async function getCardsByDeck(db, deckId) {
@@ -96,6 +274,16 @@ export async function getCardsByDeck(db, deckId) {
   return cards;
 }
 
+export async function getCardsByDecks(db, deckIds) {
+  const tx = db.transaction("cards", "readonly");
+  const idx = tx.objectStore("cards").index("by_deck");
+  const lists = await Promise.all(deckIds.map(id => reqToPromise(idx.getAll(IDBKeyRange.only(id)))));
+  await txDone(tx);
+  const cards = lists.flat();
+  cards.sort((a,b) => a.createdAt - b.createdAt);
+  return cards;
+}
+
 export function defaultSRS() {
   return {
     due: Date.now(),       // due immediately
@@ -106,19 +294,47 @@ export function defaultSRS() {
   };
 }
 
-export async function addCard(db, deckId, fields) {
+export const CARD_TYPES = ["noun", "verb"];
+export const VERB_FIELDS = ["presentDu", "presentEr", "preterite", "participle", "auxiliary"];
+
+function newCard(deckId, fields) {
+  const now = Date.now();
   const card = {
     id: uid(),
     deckId,
-    english: fields.english.trim(),
-    german: fields.german.trim(),
-    article: (fields.article || "").trim(),
-    plural: (fields.plural || "").trim(),
-    example: (fields.example || "").trim(),
-    notes: (fields.notes || "").trim(),
-    createdAt: Date.now(),
-    srs: defaultSRS()
+    createdAt: now,
+    updatedAt: now,
+    srs: defaultSRS(),
+    srsTracks: { recognition: defaultSRS() }
   };
+  applyFields(card, fields);
+  return card;
+}
+
+const EDITABLE_FIELDS = ["type", "english", "german", "article", "plural", "example", "notes", "tags", ...VERB_FIELDS];
+
+// Like applyFields, but also records the change for sync.
+function editFields(card, fields) {
+  const before = Object.fromEntries(EDITABLE_FIELDS.map(f => [f, card[f]]));
+  applyFields(card, fields);
+  return touch(card, before);
+}
+
+function applyFields(card, fields) {
+  card.type = CARD_TYPES.includes(fields.type) ? fields.type : "noun";
+  card.english = fields.english.trim();
+  card.german = fields.german.trim();
+  card.article = (fields.article || "").trim();
+  card.plural = (fields.plural || "").trim();
+  card.example = (fields.example || "").trim();
+  card.notes = (fields.notes || "").trim();
+  card.tags = parseTags(fields.tags);
+  for (const f of VERB_FIELDS) card[f] = (fields[f] || "").trim();
+  card.auxiliary = card.auxiliary.toLowerCase();
+}
+
+export async function addCard(db, deckId, fields) {
+  const card = newCard(deckId, fields);
   const tx = db.transaction("cards", "readwrite");
   tx.objectStore("cards").add(card);
   await txDone(tx);
@@ -131,30 +347,477 @@ export async function updateCard(db, cardId, fields) {
   const card = await reqToPromise(store.get(cardId));
   if (!card) throw new Error("Card not found");
 
-  card.english = fields.english.trim();
-  card.german = fields.german.trim();
-  card.article = (fields.article || "").trim();
-  card.plural = (fields.plural || "").trim();
-  card.example = (fields.example || "").trim();
-  card.notes = (fields.notes || "").trim();
+  editFields(card, fields);
 
   store.put(card);
   await txDone(tx);
   return card;
 }
 
+function isFilled(v) {
+  return Array.isArray(v) ? v.length > 0 : String(v ?? "").trim() !== "";
+}
+
+// Commits a confirmed import in one transaction.
+// - newDecks: [{ key, name, parentId | parentKey }] decks to create, parents
+//   first; parentKey refers to an earlier entry's key
+// - adds: [{ deckId | deckKey, fields }] — deckKey refers to newDecks
+// - updates: [{ id, fields }] — only non-empty fields overwrite the card
+// Returns the created decks, added cards and { before, after } per update,
+// which is what undoImport() takes.
+export async function importCards(db, { newDecks = [], adds = [], updates = [] }) {
+  const tx = db.transaction(["decks","cards"], "readwrite");
+  const decksStore = tx.objectStore("decks");
+  const cardsStore = tx.objectStore("cards");
+  const result = { decks: [], added: [], updated: [] };
+
+  try {
+    const idByKey = new Map();
+    for (const nd of newDecks) {
+      const parentId = nd.parentKey ? idByKey.get(nd.parentKey) : (nd.parentId ?? null);
+      const deck = newDeck(nd.name, parentId);
+      decksStore.add(deck);
+      idByKey.set(nd.key, deck.id);
+      result.decks.push(deck);
+    }
+
+    for (const a of adds) {
+      const card = newCard(a.deckId || idByKey.get(a.deckKey), a.fields);
+      if (!card.deckId) throw new Error(`No deck for "${card.german}"`);
+      cardsStore.add(card);
+      result.added.push(card);
+    }
+
+    for (const u of updates) {
+      const before = await reqToPromise(cardsStore.get(u.id));
+      if (!before) throw new Error("Card not found");
+      const after = structuredClone(before);
+      const merged = { ...before };
+      for (const [k, v] of Object.entries(u.fields)) if (isFilled(v)) merged[k] = v;
+      editFields(after, merged);
+      cardsStore.put(after);
+      result.updated.push({ before, after });
+    }
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+
+  await txDone(tx);
+  return result;
+}
+
+// Reverses importCards(): removes the added cards and the decks created for
+// them (unless other cards have been put there since), and puts the fields
+// of updated cards back. Review progress made since is kept.
+export async function undoImport(db, { decks = [], added = [], updated = [] }) {
+  const tx = db.transaction(["decks","cards","reviews","tombstones"], "readwrite");
+  const decksStore = tx.objectStore("decks");
+  const cardsStore = tx.objectStore("cards");
+  const tombstones = tx.objectStore("tombstones");
+
+  try {
+    for (const c of added) {
+      if (!(await reqToPromise(cardsStore.get(c.id)))) continue;
+      cardsStore.delete(c.id);
+      tombstones.put(tombstone("card", c.id));
+      deleteByIndex(tx.objectStore("reviews"), "by_card", c.id);
+    }
+    for (const { before } of updated) {
+      const card = await reqToPromise(cardsStore.get(before.id));
+      if (!card) continue;
+      editFields(card, before);
+      cardsStore.put(card);
+    }
+    // Children were created after their parents, so go backwards.
+    const all = await reqToPromise(decksStore.getAll());
+    for (const d of [...decks].reverse()) {
+      const inUse = await reqToPromise(cardsStore.index("by_deck").count(d.id));
+      if (inUse || all.some(x => x.parentId === d.id && !decks.some(n => n.id === x.id))) continue;
+      decksStore.delete(d.id);
+      tombstones.put(tombstone("deck", d.id));
+    }
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+
+  await txDone(tx);
+}
+
+export async function getAllCards(db) {
+  const tx = db.transaction("cards", "readonly");
+  const cards = await reqToPromise(tx.objectStore("cards").getAll());
+  await txDone(tx);
+  return cards;
+}
+
+export async function getCardsByTag(db, tag) {
+  const tx = db.transaction("cards", "readonly");
+  const idx = tx.objectStore("cards").index("by_tag");
+  const cards = await reqToPromise(idx.getAll(IDBKeyRange.only(tag)));
+  await txDone(tx);
+  return cards;
+}
+
+// Every tag in use, sorted (index order).
+export async function getAllTags(db) {
+  const tx = db.transaction("cards", "readonly");
+  const tags = [];
+  const cursorReq = tx.objectStore("cards").index("by_tag").openKeyCursor(null, "nextunique");
+  cursorReq.onsuccess = () => {
+    const cur = cursorReq.result;
+    if (!cur) return;
+    tags.push(cur.key);
+    cur.continue();
+  };
+  await txDone(tx);
+  return tags;
+}
+
+// Moves a card and its review history to the trash; returns the trash
+// entry's id (null if the card was already gone).
 export async function deleteCard(db, cardId) {
-  const tx = db.transaction("cards", "readwrite");
+  const tx = db.transaction(["cards","reviews","tombstones","trash"], "readwrite");
+  const card = await reqToPromise(tx.objectStore("cards").get(cardId));
+  if (!card) {
+    await txDone(tx);
+    return null;
+  }
+  const reviews = await reqToPromise(tx.objectStore("reviews").index("by_card").getAll(cardId));
+  const entry = trashEntry("card", card.german, { cards: [card], reviews });
+  tx.objectStore("trash").put(entry);
+
   tx.objectStore("cards").delete(cardId);
+  tx.objectStore("tombstones").put(tombstone("card", cardId));
+  deleteByIndex(tx.objectStore("reviews"), "by_card", cardId);
+  await txDone(tx);
+  return entry.id;
+}
+
+// Newest first.
+export async function getTrash(db) {
+  const tx = db.transaction("trash", "readonly");
+  const entries = await reqToPromise(tx.objectStore("trash").getAll());
+  await txDone(tx);
+  return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+// Puts a trash entry's records back. A card whose deck is gone meanwhile
+// can't come back; a deck whose parent is gone comes back at the top level.
+// Records are stamped revivedAt like a restored backup, so undoing a delete
+// that was already synced brings them back on other devices too.
+export async function restoreTrash(db, id) {
+  const tx = db.transaction(["decks","cards","reviews","tombstones","trash"], "readwrite");
+  const decksStore = tx.objectStore("decks");
+  const tombstones = tx.objectStore("tombstones");
+  const now = Date.now();
+
+  try {
+    const entry = await reqToPromise(tx.objectStore("trash").get(id));
+    if (!entry) throw new Error("Not in the trash any more");
+
+    const restoredDecks = new Set(entry.decks.map(d => d.id));
+    for (const d of entry.decks) {
+      const parentOk = !d.parentId || restoredDecks.has(d.parentId) || await reqToPromise(decksStore.get(d.parentId));
+      const deck = { ...d, updatedAt: now, revivedAt: now };
+      if (!parentOk) {
+        deck.parentId = null;
+        deck.fieldTimes = { ...d.fieldTimes, parentId: now };
+      }
+      decksStore.put(deck);
+      tombstones.delete(d.id);
+    }
+    for (const c of entry.cards) {
+      if (!restoredDecks.has(c.deckId) && !(await reqToPromise(decksStore.get(c.deckId)))) {
+        throw new Error("Its deck was deleted too");
+      }
+      tx.objectStore("cards").put({ ...c, updatedAt: now, revivedAt: now });
+      tombstones.delete(c.id);
+    }
+    for (const r of entry.reviews) tx.objectStore("reviews").put(r);
+    tx.objectStore("trash").delete(id);
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+
   await txDone(tx);
 }
 
+// Empties trash entries older than `days`.
+export async function purgeTrash(db, days) {
+  const cutoff = Date.now() - days * 24*60*60*1000;
+  const tx = db.transaction("trash", "readwrite");
+  const cursorReq = tx.objectStore("trash").openCursor();
+  cursorReq.onsuccess = () => {
+    const cur = cursorReq.result;
+    if (!cur) return;
+    if (cur.value.deletedAt < cutoff) cur.delete();
+    cur.continue();
+  };
+  await txDone(tx);
+}
+
+/** --------------------------
+ *  Bulk card changes
+ *  Each runs in one transaction, so a failure leaves every card as it was,
+ *  and returns how many cards it actually changed.
+ *  -------------------------- */
+
+// Calls change(card, tx) for each id and saves the cards it returns true
+// for. With `deckId`, that deck has to exist.
+async function changeCards(db, ids, change, { stores = ["cards"], deckId = null } = {}) {
+  const tx = db.transaction(deckId ? ["decks", ...stores] : stores, "readwrite");
+  const store = tx.objectStore("cards");
+  let changed = 0;
+  try {
+    if (deckId && !(await reqToPromise(tx.objectStore("decks").get(deckId)))) throw new Error("Deck not found");
+    for (const id of ids) {
+      const card = await reqToPromise(store.get(id));
+      if (!card || !change(card, tx)) continue;
+      store.put(card);
+      changed++;
+    }
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+  await txDone(tx);
+  return changed;
+}
+
+// Moves cards to another deck, schedules and review history included.
+export async function moveCards(db, ids, deckId) {
+  return changeCards(db, ids, (card, tx) => {
+    if (card.deckId === deckId) return false;
+    const before = { deckId: card.deckId };
+    card.deckId = deckId;
+    touch(card, before);
+    const cursorReq = tx.objectStore("reviews").index("by_card").openCursor(IDBKeyRange.only(card.id));
+    cursorReq.onsuccess = () => {
+      const cur = cursorReq.result;
+      if (!cur) return;
+      cur.update({ ...cur.value, deckId });
+      cur.continue();
+    };
+    return true;
+  }, { stores: ["cards", "reviews"], deckId });
+}
+
+// Copies cards into another deck as new cards: same fields, fresh schedule,
+// no history.
+export async function copyCards(db, ids, deckId) {
+  let copied = 0;
+  await changeCards(db, ids, (card, tx) => {
+    tx.objectStore("cards").add(newCard(deckId, card));
+    copied++;
+    return false;
+  }, { deckId });
+  return copied;
+}
+
+// Puts cards back to new: every schedule track restarts, history stays.
+// Cards that were never reviewed are left alone.
+export async function resetCards(db, ids) {
+  return changeCards(db, ids, (card) => {
+    if (isUnseen(card.srs) && Object.values(card.srsTracks || {}).every(isUnseen)) return false;
+    const tracks = ["recognition", ...Object.keys(card.srsTracks || {})];
+    card.srs = defaultSRS();
+    card.srsTracks = Object.fromEntries(tracks.map(t => [t, defaultSRS()]));
+    card.updatedAt = Date.now();
+    return true;
+  });
+}
+
+// Sets the same fields on every card and adds or removes tags:
+// { set: { article: "die" }, addTags: ["a1"], removeTags: ["draft"] }.
+export async function editCards(db, ids, { set = {}, addTags = [], removeTags = [] }) {
+  const unknown = Object.keys(set).filter(f => f === "tags" || !EDITABLE_FIELDS.includes(f));
+  if (unknown.length) throw new Error(`Can't bulk edit ${unknown.join(", ")}`);
+  const add = parseTags(addTags);
+  const remove = new Set(parseTags(removeTags));
+
+  return changeCards(db, ids, (card) => {
+    const tags = parseTags([...(card.tags || []), ...add]).filter(t => !remove.has(t));
+    const before = JSON.stringify(EDITABLE_FIELDS.map(f => card[f]));
+    editFields(card, { ...card, ...set, tags });
+    return JSON.stringify(EDITABLE_FIELDS.map(f => card[f])) !== before;
+  });
+}
+
+// Deletes cards with their review history as one trash entry, so a single
+// undo brings them all back. Returns { trashId, deleted }.
+export async function deleteCards(db, ids) {
+  const tx = db.transaction(["cards","reviews","tombstones","trash"], "readwrite");
+  const removed = { cards: [], reviews: [] };
+  for (const id of ids) {
+    const card = await reqToPromise(tx.objectStore("cards").get(id));
+    if (!card) continue;
+    removed.cards.push(card);
+    removed.reviews.push(...await reqToPromise(tx.objectStore("reviews").index("by_card").getAll(id)));
+  }
+  if (!removed.cards.length) {
+    await txDone(tx);
+    return { trashId: null, deleted: 0 };
+  }
+
+  const names = removed.cards.map(c => c.german);
+  const entry = trashEntry("cards", names.length > 3 ? `${names.slice(0, 3).join(", ")}, …` : names.join(", "), removed);
+  tx.objectStore("trash").put(entry);
+  for (const c of removed.cards) {
+    tx.objectStore("cards").delete(c.id);
+    tx.objectStore("tombstones").put(tombstone("card", c.id));
+    deleteByIndex(tx.objectStore("reviews"), "by_card", c.id);
+  }
+  await txDone(tx);
+  return { trashId: entry.id, deleted: removed.cards.length };
+}
+
+/** --------------------------
+ *  Merging duplicates
+ *  -------------------------- */
+const COMBINED_FIELDS = ["example", "notes"];
+
+function isUnseen(s) {
+  return !s || (!s.lastReview && !s.reps && !s.lapses);
+}
+
+// Which of several schedules for one track to keep: "stronger" is the
+// longest interval, "recent" the last one graded. Unreviewed states only
+// win when there's nothing else.
+function pickSRS(states, keep) {
+  const seen = states.filter(s => !isUnseen(s));
+  if (!seen.length) return states.find(Boolean);
+  const score = keep === "recent" ? reviewedAt : (s) => s.intervalDays ?? 0;
+  return seen.reduce((best, s) => score(s) > score(best) ? s : best);
+}
+
+// Merges duplicates into the card `keepId`. Its own fields win and empty ones
+// are filled from the others; examples and notes are combined, tags joined.
+// Each schedule track takes the "stronger" or most "recent" state of any of
+// them, and their review history moves over (on this device only: sync
+// never resends reviews). The others go to one trash entry together with the
+// kept card as it was, so restoring that entry undoes the merge.
+// Returns { card, trashId }.
+export async function mergeCards(db, keepId, otherIds, { keep = "stronger" } = {}) {
+  const tx = db.transaction(["cards","reviews","tombstones","trash"], "readwrite");
+  const cardsStore = tx.objectStore("cards");
+  const reviewsStore = tx.objectStore("reviews");
+  let card, entry;
+
+  try {
+    card = await reqToPromise(cardsStore.get(keepId));
+    if (!card) throw new Error("Card not found");
+    const others = [];
+    for (const id of otherIds) {
+      const c = id !== keepId && await reqToPromise(cardsStore.get(id));
+      if (c) others.push(c);
+    }
+    if (!others.length) throw new Error("Nothing left to merge");
+    const reviews = [];
+    for (const c of others) reviews.push(...await reqToPromise(reviewsStore.index("by_card").getAll(c.id)));
+    entry = trashEntry("merge", card.german, { cards: [structuredClone(card), ...others], reviews });
+
+    const all = [card, ...others];
+    const fields = { ...card };
+    for (const f of EDITABLE_FIELDS) {
+      if (!isFilled(card[f])) fields[f] = others.map(c => c[f]).find(isFilled) ?? card[f];
+    }
+    for (const f of COMBINED_FIELDS) {
+      fields[f] = [...new Set(all.map(c => (c[f] || "").trim()).filter(Boolean))].join("\n");
+    }
+    fields.tags = all.flatMap(c => c.tags || []);
+    editFields(card, fields);
+
+    card.srs = pickSRS(all.map(c => c.srs), keep);
+    const tracks = new Set(all.flatMap(c => Object.keys(c.srsTracks || {})));
+    card.srsTracks = Object.fromEntries([...tracks].map(t => [t, pickSRS(all.map(c => c.srsTracks?.[t]), keep)]));
+    cardsStore.put(card);
+
+    for (const r of reviews) reviewsStore.put({ ...r, cardId: card.id, deckId: card.deckId });
+    for (const c of others) {
+      cardsStore.delete(c.id);
+      tx.objectStore("tombstones").put(tombstone("card", c.id));
+    }
+    tx.objectStore("trash").put(entry);
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+
+  await txDone(tx);
+  return { card, trashId: entry.id };
+}
+
 export async function putCard(db, card) {
+  card.updatedAt = Date.now();
   const tx = db.transaction("cards", "readwrite");
   tx.objectStore("cards").put(card);
   await txDone(tx);
 }
 
+// Saves a graded card together with its review log entry.
+// `before`/`after` are the track's SRS state around the grade.
+export async function recordReview(db, card, { track = "main", grade, before, after }) {
+  const pick = (s) => ({ due: s.due, intervalDays: s.intervalDays, ease: s.ease });
+  const review = {
+    id: uid(),
+    cardId: card.id,
+    deckId: card.deckId,
+    track,
+    at: Date.now(),
+    grade,
+    before: pick(before),
+    after: pick(after)
+  };
+  card.updatedAt = review.at;
+  const tx = db.transaction(["cards","reviews"], "readwrite");
+  tx.objectStore("cards").put(card);
+  tx.objectStore("reviews").add(review);
+  await txDone(tx);
+  return review;
+}
+
+// Takes back a grade: `card` carries the schedule from before it, and the
+// logged review goes.
+export async function revertReview(db, card, reviewId) {
+  card.updatedAt = Date.now();
+  const tx = db.transaction(["cards","reviews"], "readwrite");
+  tx.objectStore("cards").put(card);
+  tx.objectStore("reviews").delete(reviewId);
+  await txDone(tx);
+}
+
+export async function getReviewsByCard(db, cardId) {
+  const tx = db.transaction("reviews", "readonly");
+  const idx = tx.objectStore("reviews").index("by_card");
+  const reviews = await reqToPromise(idx.getAll(IDBKeyRange.only(cardId)));
+  await txDone(tx);
+  reviews.sort((a,b) => a.at - b.at);
+  return reviews;
+}
+
+export async function getMeta(db, key) {
+  const tx = db.transaction("meta", "readonly");
+  const rec = await reqToPromise(tx.objectStore("meta").get(key));
+  await txDone(tx);
+  return rec ? rec.value : null;
+}
+
+export async function setMeta(db, key, value) {
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put({ key, value });
+  await txDone(tx);
+}
+
+export async function getAllReviews(db) {
+  const tx = db.transaction("reviews", "readonly");
+  const reviews = await reqToPromise(tx.objectStore("reviews").getAll());
+  await txDone(tx);
+  return reviews;
+}
+
 export async function exportAll(db) {
   const tx1 = db.transaction("decks", "readonly");
   const decks = await reqToPromise(tx1.objectStore("decks").getAll());
@@ -164,12 +827,318 @@ export async function exportAll(db) {
   const cards = await reqToPromise(tx2.objectStore("cards").getAll());
   await txDone(tx2);
 
-  return { version: 1, exportedAt: new Date().toISOString(), decks, cards };
+  const tx3 = db.transaction("reviews", "readonly");
+  const reviews = await reqToPromise(tx3.objectStore("reviews").getAll());
+  await txDone(tx3);
+
+  return { version: 2, exportedAt: new Date().toISOString(), decks, cards, reviews };
+}
+
+// Checks a parsed backup file and fills in optional fields.
+// Throws with a readable message if the file can't be restored.
+export function validateBackup(data) {
+  if (!data || typeof data !== "object") throw new Error("Not a backup file.");
+  if (!Array.isArray(data.decks) || !Array.isArray(data.cards)) throw new Error("Backup has no decks/cards.");
+  if (typeof data.version !== "number" || data.version > 2) throw new Error(`Unsupported backup version: ${data.version}`);
+
+  data.decks.forEach((d, i) => {
+    if (!d || typeof d.id !== "string" || typeof d.name !== "string") throw new Error(`Deck #${i+1} is missing id or name.`);
+  });
+  const deckIds = new Set(data.decks.map(d => d.id));
+  // A parent that isn't in the backup makes the deck top level, and so does
+  // a parent chain that loops back to the deck.
+  const decks = data.decks.map(d => ({
+    id: d.id,
+    name: d.name,
+    parentId: deckIds.has(d.parentId) ? d.parentId : null,
+    createdAt: d.createdAt ?? Date.now()
+  }));
+  breakParentCycles(decks);
+
+  const cards = data.cards.map((c, i) => {
+    if (!c || typeof c.id !== "string" || typeof c.english !== "string" || typeof c.german !== "string") {
+      throw new Error(`Card #${i+1} is missing id, english or german.`);
+    }
+    if (!deckIds.has(c.deckId)) throw new Error(`Card "${c.german}" belongs to a deck that isn't in the backup.`);
+    return {
+      ...c,
+      type: CARD_TYPES.includes(c.type) ? c.type : "noun",
+      article: c.article || "",
+      plural: c.plural || "",
+      ...Object.fromEntries(VERB_FIELDS.map(f => [f, c[f] || ""])),
+      example: c.example || "",
+      notes: c.notes || "",
+      tags: parseTags(c.tags),
+      createdAt: c.createdAt ?? Date.now(),
+      srs: { ...defaultSRS(), ...(c.srs || {}) }
+    };
+  });
+
+  // v1 backups have no review log.
+  const cardIds = new Set(cards.map(c => c.id));
+  const reviews = (Array.isArray(data.reviews) ? data.reviews : [])
+    .filter(r => r && typeof r.id === "string" && cardIds.has(r.cardId));
+
+  return { version: data.version, exportedAt: data.exportedAt || "", decks, cards, reviews };
+}
+
+// A restored record as if every field had just been edited, so sync sends
+// it and the backup's values win over older edits on the server. revivedAt
+// also lets it outlive a delete that was synced before the restore.
+function restamp(rec, now) {
+  const fieldTimes = {};
+  for (const k of Object.keys(rec)) if (!META.has(k)) fieldTimes[k] = now;
+  return { ...rec, updatedAt: now, revivedAt: now, fieldTimes };
+}
+
+// Restores a validated backup in a single transaction.
+// mode "replace": wipe everything first; decks and cards the backup doesn't
+// have get tombstones, so sync deletes them on other devices too.
+// mode "merge": upsert by id; when a card exists on both sides, whichever
+// has the newer review state wins.
+// Restored decks and cards count as changed now; the caller should reset the
+// sync state so the next sync sends them and pulls the server's state again.
+export async function restoreBackup(db, backup, mode) {
+  const tx = db.transaction(["decks","cards","reviews","tombstones"], "readwrite");
+  const decksStore = tx.objectStore("decks");
+  const cardsStore = tx.objectStore("cards");
+  const reviewsStore = tx.objectStore("reviews");
+  const tombstones = tx.objectStore("tombstones");
+  const result = { decks: 0, cards: 0, kept: 0 };
+  const now = Date.now();
+
+  try {
+    if (mode === "replace") {
+      const restored = new Set([...backup.decks, ...backup.cards].map(r => r.id));
+      for (const [kind, store] of [["deck", decksStore], ["card", cardsStore]]) {
+        for (const id of await reqToPromise(store.getAllKeys())) {
+          if (!restored.has(id)) tombstones.put(tombstone(kind, id, now));
+        }
+        store.clear();
+      }
+      reviewsStore.clear();
+      for (const d of backup.decks) { decksStore.put(restamp(d, now)); tombstones.delete(d.id); result.decks += 1; }
+      for (const c of backup.cards) { cardsStore.put(restamp(c, now)); tombstones.delete(c.id); result.cards += 1; }
+      for (const r of backup.reviews) reviewsStore.put(r);
+    } else {
+      for (const d of backup.decks) {
+        const existing = await reqToPromise(decksStore.get(d.id));
+        if (!existing) { decksStore.put({ ...d, updatedAt: now, revivedAt: now }); tombstones.delete(d.id); result.decks += 1; }
+      }
+      for (const c of backup.cards) {
+        const existing = await reqToPromise(cardsStore.get(c.id));
+        if (existing && reviewedAt(existing.srs) > reviewedAt(c.srs)) { result.kept += 1; continue; }
+        cardsStore.put({ ...c, updatedAt: now, revivedAt: now });
+        tombstones.delete(c.id);
+        result.cards += 1;
+      }
+      // Review ids are unique per device, so merging the logs is just a union.
+      for (const r of backup.reviews) reviewsStore.put(r);
+    }
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+
+  await txDone(tx);
+  return result;
 }
 
+// Clears this device only: no tombstones are left, so the next sync
+// brings everything back from the server. Snapshots and meta stay.
 export async function wipeAll(db) {
-  const tx = db.transaction(["decks","cards"], "readwrite");
+  const tx = db.transaction(["decks","cards","reviews","tombstones","trash"], "readwrite");
   tx.objectStore("decks").clear();
   tx.objectStore("cards").clear();
+  tx.objectStore("reviews").clear();
+  tx.objectStore("tombstones").clear();
+  tx.objectStore("trash").clear();
+  await txDone(tx);
+}
+
+/** --------------------------
+ *  Sync (protocol in SYNC.md, merge rules in sync.js)
+ *  -------------------------- */
+const changedAt = (r) => r.updatedAt ?? r.createdAt ?? 0;
+
+// Everything written on this device after `since` (ms): decks, cards,
+// reviews and tombstones. since = 0 gives everything.
+export async function getChangesSince(db, since) {
+  const tx = db.transaction(["decks","cards","reviews","tombstones"], "readonly");
+  const [decks, cards, reviews, tombstones] = await Promise.all(
+    ["decks","cards","reviews","tombstones"].map(name => reqToPromise(tx.objectStore(name).getAll()))
+  );
+  await txDone(tx);
+  return {
+    decks: decks.filter(d => changedAt(d) > since),
+    cards: cards.filter(c => changedAt(c) > since),
+    reviews: reviews.filter(r => r.at > since),
+    tombstones: tombstones.filter(t => t.deletedAt > since)
+  };
+}
+
+// Merges changes pulled from the server in one transaction. Deletions win:
+// a tombstone removes the record (and a card's reviews) whatever its edits,
+// unless the record was restored after the delete (see revives() in sync.js).
+// Returns how many local records changed.
+export async function applySyncChanges(db, { decks = [], cards = [], reviews = [], tombstones = [] }) {
+  const tx = db.transaction(["decks","cards","reviews","tombstones"], "readwrite");
+  const stores = {
+    deck: tx.objectStore("decks"),
+    card: tx.objectStore("cards"),
+    reviews: tx.objectStore("reviews"),
+    tombstones: tx.objectStore("tombstones")
+  };
+  const result = { decks: 0, cards: 0, reviews: 0, deleted: 0 };
+
+  try {
+    for (const t of tombstones) {
+      const store = stores[t.kind];
+      const local = store && await reqToPromise(store.get(t.id));
+      if (revives(local, t)) continue;
+      stores.tombstones.put(t);
+      if (!local) continue;
+      store.delete(t.id);
+      if (t.kind === "card") deleteByIndex(stores.reviews, "by_card", t.id);
+      result.deleted += 1;
+    }
+
+    const mergeInto = async (kind, remote) => {
+      const tomb = await reqToPromise(stores.tombstones.get(remote.id));
+      if (tomb && !revives(remote, tomb)) return false;
+      if (tomb) stores.tombstones.delete(remote.id);
+      const local = await reqToPromise(stores[kind].get(remote.id));
+      const merged = mergeRecord(local, remote);
+      if (local && sameRecord(local, merged)) return false;
+      stores[kind].put(merged);
+      return true;
+    };
+    for (const d of decks) if (await mergeInto("deck", d)) result.decks += 1;
+    if (result.decks) {
+      // Decks moved on two devices can close a loop (A under B, B under A).
+      // Sorted by id so every device cuts the same deck loose; the fix is
+      // stamped as an edit and pushed like any other.
+      const all = (await reqToPromise(stores.deck.getAll())).sort((a, b) => a.id < b.id ? -1 : 1);
+      for (const d of breakParentCycles(all)) {
+        const now = Math.max(Date.now(), (d.fieldTimes?.parentId ?? 0) + 1);
+        stores.deck.put({ ...d, updatedAt: now, fieldTimes: { ...d.fieldTimes, parentId: now } });
+      }
+    }
+    for (const c of cards) {
+      // Added on one device to a deck another deleted: it goes too.
+      if (await reqToPromise(stores.tombstones.get(c.deckId))) {
+        stores.tombstones.put(tombstone("card", c.id));
+        stores.card.delete(c.id);
+        continue;
+      }
+      if (await mergeInto("card", c)) result.cards += 1;
+    }
+
+    for (const r of reviews) {
+      if (await reqToPromise(stores.reviews.get(r.id))) continue;
+      if (!(await reqToPromise(stores.card.get(r.cardId)))) continue;
+      stores.reviews.put(r);
+      result.reviews += 1;
+    }
+  } catch (e) {
+    abortQuietly(tx);
+    throw e;
+  }
+
+  await txDone(tx);
+  return result;
+}
+
+/** --------------------------
+ *  Snapshots (restore points)
+ *  Compressed with gzip where the browser has CompressionStream; stored
+ *  as ArrayBuffers since some Safari versions can't keep Blobs in IndexedDB.
+ *  -------------------------- */
+async function gzip(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+  return new Response(stream).arrayBuffer();
+}
+
+async function gunzip(buf) {
+  const stream = new Blob([buf]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).text();
+}
+
+// FNV-1a over the data, so a snapshot identical to the last one can be skipped.
+function fingerprint(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return `${text.length}:${(h >>> 0).toString(16)}`;
+}
+
+// Newest first, without the (possibly large) data.
+export async function getSnapshots(db) {
+  const tx = db.transaction("snapshots", "readonly");
+  const all = await reqToPromise(tx.objectStore("snapshots").getAll());
+  await txDone(tx);
+  return all
+    .map(({ data, ...meta }) => meta)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Saves the current data as a restore point and drops the oldest beyond
+// `keep`. With `skipIfUnchanged`, returns null instead when nothing changed
+// since the newest snapshot.
+export async function addSnapshot(db, { reason, keep, skipIfUnchanged = false }) {
+  const backup = await exportAll(db);
+  const { decks, cards, reviews } = backup;
+  const fp = fingerprint(JSON.stringify({ decks, cards, reviews }));
+  if (skipIfUnchanged && (await getSnapshots(db))[0]?.fingerprint === fp) return null;
+
+  const json = JSON.stringify(backup);
+  const compressed = typeof CompressionStream === "function";
+  const data = compressed ? await gzip(json) : json;
+  const meta = {
+    id: uid(),
+    createdAt: Date.now(),
+    reason,
+    decks: decks.length,
+    cards: cards.length,
+    bytes: compressed ? data.byteLength : json.length,
+    fingerprint: fp,
+    encoding: compressed ? "gzip" : "json"
+  };
+
+  // Compression happens before the transaction opens: awaiting anything but
+  // IndexedDB inside one would let it commit early.
+  const old = await getSnapshots(db);
+  const tx = db.transaction("snapshots", "readwrite");
+  const store = tx.objectStore("snapshots");
+  store.put({ ...meta, data });
+  for (const s of old.slice(Math.max(0, keep - 1))) store.delete(s.id);
+  await txDone(tx);
+  return meta;
+}
+
+// The snapshot's backup, validated and ready for restoreBackup().
+export async function readSnapshot(db, id) {
+  const tx = db.transaction("snapshots", "readonly");
+  const snap = await reqToPromise(tx.objectStore("snapshots").get(id));
+  await txDone(tx);
+  if (!snap) throw new Error("Restore point not found");
+  const json = snap.encoding === "gzip" ? await gunzip(snap.data) : snap.data;
+  return validateBackup(JSON.parse(json));
+}
+
+export async function deleteSnapshot(db, id) {
+  const tx = db.transaction("snapshots", "readwrite");
+  tx.objectStore("snapshots").delete(id);
+  await txDone(tx);
+}
+
+// Drops the oldest snapshots beyond `keep` (after the setting is lowered).
+export async function pruneSnapshots(db, keep) {
+  const old = (await getSnapshots(db)).slice(keep);
+  if (!old.length) return;
+  const tx = db.transaction("snapshots", "readwrite");
+  for (const s of old) tx.objectStore("snapshots").delete(s.id);
   await txDone(tx);
 }
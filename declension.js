@@ -0,0 +1,114 @@
+// Article (and adjective ending) declension drill, generated from a noun's
+// article and plural. Each case is its own schedule track: "case:dat".
+
+import { diffChars } from "./text.js";
+
+export const CASES = [
+  { id: "nom", label: "Nominativ" },
+  { id: "acc", label: "Akkusativ" },
+  { id: "dat", label: "Dativ" },
+  { id: "gen", label: "Genitiv" }
+];
+
+const GENDERS = { der: "m", die: "f", das: "n" };
+
+// [nom, acc, dat, gen] per gender; "pl" is the plural.
+const DEFINITE = {
+  m: ["der", "den", "dem", "des"],
+  f: ["die", "die", "der", "der"],
+  n: ["das", "das", "dem", "des"],
+  pl: ["die", "die", "den", "der"]
+};
+const INDEFINITE = {
+  m: ["ein", "einen", "einem", "eines"],
+  f: ["eine", "eine", "einer", "einer"],
+  n: ["ein", "ein", "einem", "eines"]
+};
+// Adjective endings after der-words (weak) and ein-words (mixed).
+const WEAK = {
+  m: ["e", "en", "en", "en"],
+  f: ["e", "e", "en", "en"],
+  n: ["e", "e", "en", "en"],
+  pl: ["en", "en", "en", "en"]
+};
+const MIXED = {
+  m: ["er", "en", "en", "en"],
+  f: ["e", "e", "en", "en"],
+  n: ["es", "es", "en", "en"]
+};
+
+// Every form an article can take, for answer buttons.
+export const ARTICLE_FORMS = {
+  definite: ["der", "die", "das", "den", "dem", "des"],
+  indefinite: ["ein", "eine", "einen", "einem", "einer", "eines"]
+};
+
+const ADJECTIVES = ["neu", "alt", "groß", "klein", "schön", "gut"];
+
+// Sentence frames per case; ___ is the gap, {noun} the declined noun,
+// {be} "ist"/"sind".
+const FRAMES = {
+  nom: ["___ {noun} {be} hier.", "Wo {be} ___ {noun}?"],
+  acc: ["Ich sehe ___ {noun}.", "für ___ {noun}", "ohne ___ {noun}"],
+  dat: ["mit ___ {noun}", "von ___ {noun}", "Ich helfe ___ {noun}."],
+  gen: ["wegen ___ {noun}", "trotz ___ {noun}", "die Farbe ___ {noun}"]
+};
+
+const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+export function canDecline(card) {
+  return card.type !== "verb" && !!GENDERS[(card.article || "").toLowerCase()];
+}
+
+// The noun as it stands in that case: dative plural takes -n, genitive
+// singular masculine/neuter -(e)s, and masculines in -e (der Junge) take -n
+// outside the nominative. Irregular nouns are left as they are.
+export function declineNoun(word, gender, caseId, plural) {
+  if (plural) {
+    return caseId === "dat" && !/[ns]$/.test(word) ? `${word}n` : word;
+  }
+  if (gender === "m" && /e$/.test(word)) return caseId === "nom" ? word : `${word}n`;
+  if (caseId !== "gen" || gender === "f") return word;
+  if (/(s|ß|x|z)$/.test(word)) return `${word}es`;
+  const syllables = (word.toLowerCase().match(/[aeiouäöüy]+/g) || []).length;
+  return syllables > 1 || /[aeiouy]$/i.test(word) ? `${word}s` : `${word}es`;
+}
+
+// A random question for `card` in `caseId`:
+// { caseId, plural, definite, prompt, answer, choices }.
+// Plural questions need a plural and always use the definite article;
+// with `adjectives`, the answer includes a declined adjective ("dem neuen").
+export function makeQuestion(card, caseId, { adjectives = false, plural: pluralForm = "" } = {}) {
+  const gender = GENDERS[card.article.toLowerCase()];
+  const i = CASES.findIndex(c => c.id === caseId);
+  const plural = !!pluralForm && Math.random() < 0.35;
+  const definite = plural || Math.random() < 0.6;
+  const key = plural ? "pl" : gender;
+
+  const article = (definite ? DEFINITE : INDEFINITE)[key][i];
+  const adjective = adjectives ? pick(ADJECTIVES) : "";
+  const ending = adjective ? (definite ? WEAK : MIXED)[key][i] : "";
+  const noun = declineNoun(plural ? pluralForm : card.german, gender, caseId, plural);
+
+  const gap = adjective ? `___ (${adjective}) ${noun}` : `___ ${noun}`;
+  const prompt = pick(FRAMES[caseId])
+    .replace("___ {noun}", gap)
+    .replace("{be}", plural ? "sind" : "ist");
+
+  return {
+    caseId,
+    plural,
+    definite,
+    prompt,
+    answer: adjective ? `${article} ${adjective}${ending}` : article,
+    choices: adjective ? [] : ARTICLE_FORMS[definite ? "definite" : "indefinite"]
+  };
+}
+
+// Articles differ by a single letter (dem/den), so only an exact answer
+// counts; the result has the same shape as checkTypedAnswer().
+export function checkDeclension(question, input) {
+  const given = (input ?? "").trim().replace(/\s+/g, " ");
+  const word = given.toLowerCase() === question.answer ? "exact" : "wrong";
+  return { word, article: "n/a", diff: diffChars(question.answer, given) };
+}
@@ -0,0 +1,108 @@
+// Due counting shared by the page and the service worker. Service workers
+// can't count on ES module support, so this is a classic script that puts
+// its API on globalThis.gfcDue: sw.js loads it with importScripts() and
+// app.js with a bare `import "./due.js"`.
+//
+// The worker never creates or upgrades IndexedDB; db.js owns the schema.
+// What it needs from the page's settings lives in the meta store:
+// { key: "reminders", value: { enabled, time, tracks, lastShown } }.
+
+(function (root) {
+  const DB_NAME = "germanFlashcardsDB";
+  // Periodic Background Sync tag for the daily reminder.
+  const REMINDER_TAG = "gfc-reminder";
+
+  // A track nobody has studied yet is due from the card's creation.
+  function trackDue(card, track) {
+    const s = track === "main" ? card.srs : card.srsTracks?.[track];
+    return s ? s.due : (card.createdAt ?? 0);
+  }
+
+  function countDue(cards, tracks, now = Date.now()) {
+    let n = 0;
+    for (const c of cards) for (const t of tracks) if (trackDue(c, t) <= now) n += 1;
+    return n;
+  }
+
+  // Resolves to null when the app hasn't created its database yet.
+  function openExisting() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME);
+      // Opening without a version would create an empty database here and
+      // keep db.js from building its stores later.
+      req.onupgradeneeded = () => req.transaction.abort();
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      req.onerror = () => (req.error?.name === "AbortError" ? resolve(null) : reject(req.error));
+    });
+  }
+
+  function getAll(db, store) {
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(store, "readonly").objectStore(store).getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // { due, reminders } straight from IndexedDB, for the service worker.
+  async function readDueState(now = Date.now()) {
+    const db = await openExisting();
+    if (!db) return { due: 0, reminders: null };
+    try {
+      if (!db.objectStoreNames.contains("meta")) return { due: 0, reminders: null };
+      const meta = await getAll(db, "meta");
+      const reminders = meta.find(m => m.key === "reminders")?.value || null;
+      const cards = await getAll(db, "cards");
+      return { due: countDue(cards, reminders?.tracks || ["main"], now), reminders };
+    } finally {
+      db.close();
+    }
+  }
+
+  // Local "YYYY-MM-DD": the day daily limits count in and reminders are shown
+  // once per.
+  function dayKey(d = new Date()) {
+    return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+  }
+
+  // The reminder time ("19:30") today, in ms.
+  function reminderAt(time, now = Date.now()) {
+    const [h, m] = (time || "19:00").split(":").map(Number);
+    const d = new Date(now);
+    d.setHours(h || 0, m || 0, 0, 0);
+    return d.getTime();
+  }
+
+  // Whether a reminder is owed now: enabled, past today's time, not shown yet today.
+  function reminderDue(reminders, now = Date.now()) {
+    if (!reminders?.enabled) return false;
+    if (reminders.lastShown === dayKey(new Date(now))) return false;
+    return now >= reminderAt(reminders.time, now);
+  }
+
+  // Records that today's reminder went out, keeping the page's settings.
+  async function markReminderShown(day = dayKey()) {
+    const db = await openExisting();
+    if (!db) return;
+    try {
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction("meta", "readwrite");
+        const store = tx.objectStore("meta");
+        const req = store.get("reminders");
+        req.onsuccess = () => {
+          if (req.result) store.put({ key: "reminders", value: { ...req.result.value, lastShown: day } });
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  root.gfcDue = { REMINDER_TAG, trackDue, countDue, readDueState, markReminderShown, dayKey, reminderAt, reminderDue };
+})(globalThis);
@@ -0,0 +1,146 @@
+// Card search queries, used by the global search, the deck's card list and
+// saved filters. A query is a list of terms that must all match:
+//
+//   haus "ist groß"              words or phrases anywhere on the card
+//   german:haus  deck:a1         field contains (deck: the deck path)
+//   article:die  tag:a1          exact value (also type:, auxiliary:)
+//   plural:                      field is empty
+//   lapses>3  reps=0  interval>=30   numbers; interval is in days
+//   due:now  due:today  due:tomorrow  due:7d
+//   is:new  is:learning  is:leech
+//   -notes:mnemonic              a leading "-" negates any term
+//
+// Text is compared with searchKey(), so case, umlaut spellings and accents
+// don't matter. Numbers and is:new/is:learning read the card's main schedule.
+
+import { searchKey } from "./text.js";
+import { isNewState, isLearning } from "./scheduler.js";
+
+const TEXT_FIELDS = [
+  "english", "german", "article", "plural", "example", "notes",
+  "presentDu", "presentEr", "preterite", "participle", "auxiliary"
+];
+const ALIASES = { en: "english", de: "german", tags: "tag", pl: "plural", ex: "example", note: "notes" };
+const EXACT_FIELDS = ["article", "type", "tag", "auxiliary"];
+const NUMBER_FIELDS = {
+  lapses: (s) => s.lapses ?? 0,
+  reps: (s) => s.reps ?? 0,
+  interval: (s) => s.intervalDays ?? 0
+};
+const IS_VALUES = ["new", "learning", "leech"];
+
+// -?  field op  "quoted" | bare
+const TOKEN_RE = /\s*(-?)(?:([a-zA-Z]+)(>=|<=|[:<>=]))?(?:"([^"]*)"?|([^\s"]*))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const m = TOKEN_RE.exec(text);
+    if (!m || !m[0]) break;
+    const [, neg, field, op, quoted, bare] = m;
+    const value = quoted ?? bare;
+    if (!field && !value) continue;
+    tokens.push({ neg: !!neg, field: field ? field.toLowerCase() : "", op: op || "", value, quoted: quoted != null });
+  }
+  return tokens;
+}
+
+// End of the day `days` from the day of `now`, local time.
+function endOfDay(now, days) {
+  const d = new Date(now);
+  d.setHours(24 * (days + 1), 0, 0, 0);
+  return d.getTime();
+}
+
+function dueUntil(value, now) {
+  if (value === "now") return now;
+  if (value === "today") return endOfDay(now, 0);
+  if (value === "tomorrow") return endOfDay(now, 1);
+  const m = value.match(/^(\d+)d$/);
+  return m ? endOfDay(now, Number(m[1])) : null;
+}
+
+function parseTerm(t, now) {
+  const { neg, op, value } = t;
+  if (!t.field) return { neg, kind: "text", key: searchKey(value) };
+
+  const field = ALIASES[t.field] || t.field;
+  if (field in NUMBER_FIELDS) {
+    const n = Number(value);
+    if (value === "" || !Number.isFinite(n)) throw new Error(`${t.field}${op} needs a number.`);
+    return { neg, kind: "number", field, op: op === ":" ? "=" : op, n };
+  }
+  if (op !== ":") throw new Error(`${t.field} can't be compared with ${op}; use ${t.field}:…`);
+
+  if (field === "due") {
+    const until = dueUntil(value.toLowerCase(), now);
+    if (until == null) throw new Error("due: takes now, today, tomorrow or a number of days like 7d.");
+    return { neg, kind: "due", until };
+  }
+  if (field === "is") {
+    const v = value.toLowerCase();
+    if (!IS_VALUES.includes(v)) throw new Error(`is: takes ${IS_VALUES.join(", ")}.`);
+    return { neg, kind: "is", value: v };
+  }
+  if (field !== "deck" && !EXACT_FIELDS.includes(field) && !TEXT_FIELDS.includes(field)) {
+    throw new Error(`Unknown field "${t.field}:".`);
+  }
+  if (value === "") return { neg, kind: "empty", field };
+  if (EXACT_FIELDS.includes(field)) return { neg, kind: "exact", field, value: value.toLowerCase() };
+  return { neg, kind: "contains", field, key: searchKey(value) };
+}
+
+// Returns { terms, errors }. Terms that don't parse are left out and
+// explained in errors, so the rest of the query still works while typing.
+export function parseQuery(text, now = Date.now()) {
+  const terms = [];
+  const errors = [];
+  for (const t of tokenize(text ?? "")) {
+    try {
+      terms.push(parseTerm(t, now));
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  return { terms, errors };
+}
+
+function fieldValues(card, field, ctx) {
+  if (field === "deck") return [ctx.deckPath(card.deckId)];
+  if (field === "tag") return card.tags || [];
+  if (field === "type") return [card.type || "noun"];
+  const v = (card[field] ?? "").trim();
+  return v ? [v] : [];
+}
+
+function test(card, term, ctx) {
+  switch (term.kind) {
+    case "text":
+      return [...TEXT_FIELDS.map(f => card[f]), ...(card.tags || [])]
+        .some(v => v && searchKey(v).includes(term.key));
+    case "contains":
+      return fieldValues(card, term.field, ctx).some(v => searchKey(v).includes(term.key));
+    case "exact":
+      return fieldValues(card, term.field, ctx).some(v => v.toLowerCase() === term.value);
+    case "empty":
+      return fieldValues(card, term.field, ctx).length === 0;
+    case "number": {
+      const v = NUMBER_FIELDS[term.field](card.srs || {});
+      const n = term.n;
+      return { "=": v === n, ">": v > n, "<": v < n, ">=": v >= n, "<=": v <= n }[term.op];
+    }
+    case "due":
+      return ctx.dueAt(card) <= term.until;
+    case "is":
+      if (term.value === "new") return isNewState(card.srs || {});
+      if (term.value === "learning") return isLearning(card.srs || {});
+      return ctx.isLeech(card);
+  }
+  return false;
+}
+
+// ctx: { deckPath(deckId) → "A1 › Nouns", dueAt(card) → ms, isLeech(card) }.
+export function matchesQuery(card, terms, ctx) {
+  return terms.every(t => test(card, t, ctx) !== t.neg);
+}
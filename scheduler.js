@@ -0,0 +1,254 @@
+// Pluggable spaced-repetition schedulers.
+//
+// A scheduler is { id, label, next(srs, grade, now) → srs } where grade is
+// "again" | "hard" | "good" | "easy". next() returns a new state object and
+// never mutates its input, so preview() can run it for every button.
+// State shared by all schedulers: { due, intervalDays, reps, lapses, lastReview }.
+// Each may keep its own extra fields (ease, stability, difficulty) next to them.
+
+export const GRADES = ["again", "hard", "good", "easy"];
+
+const DAY_MS = 24*60*60*1000;
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+// Only a card that has been passed since it was last failed can lapse;
+// failing a new card, or failing again while relearning, isn't a lapse.
+function countLapse(s) {
+  if (s.reps > 0) s.lapses += 1;
+}
+
+function finish(s, now) {
+  s.lastReview = now;
+  s.due = now + s.intervalDays * DAY_MS;
+  return s;
+}
+
+function makeScheduler(def) {
+  return {
+    ...def,
+    // Next interval in days for every grade, without changing `srs`.
+    preview(srs, now = Date.now()) {
+      const out = {};
+      for (const g of GRADES) out[g] = def.next(srs, g, now).intervalDays;
+      return out;
+    }
+  };
+}
+
+// The original hand-tuned formula, kept as the default so existing
+// intervals don't shift. Hard sits between Again and Good. Unlike the
+// original it doesn't count a lapse for a card that was never passed.
+const simple = makeScheduler({
+  id: "simple",
+  label: "Simple (default)",
+  next(srs, grade, now) {
+    const s = { ...srs };
+
+    if (grade === "again") {
+      countLapse(s);
+      s.reps = 0;
+      s.ease = clamp(s.ease - 0.20, 1.3, 3.0);
+      s.intervalDays = 0.25; // ~6 hours
+      return finish(s, now);
+    }
+
+    if (grade === "hard") {
+      s.ease = clamp(s.ease - 0.15, 1.3, 3.0);
+      s.intervalDays = s.reps === 0 ? 0.5 : Math.max(1, s.intervalDays * 1.2);
+      s.reps += 1;
+      return finish(s, now);
+    }
+
+    if (grade === "good") {
+      s.ease = clamp(s.ease + 0.05, 1.3, 3.0);
+      if (s.reps === 0) s.intervalDays = 1;
+      else s.intervalDays = Math.max(1, s.intervalDays * s.ease);
+      s.reps += 1;
+      return finish(s, now);
+    }
+
+    s.ease = clamp(s.ease + 0.15, 1.3, 3.0);
+    if (s.reps === 0) s.intervalDays = 2;
+    else s.intervalDays = Math.max(2, s.intervalDays * s.ease * 1.3);
+    s.reps += 1;
+    return finish(s, now);
+  }
+});
+
+// Classic SM-2 (Wozniak, 1990). Buttons map to quality 1/3/4/5.
+const SM2_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+const sm2 = makeScheduler({
+  id: "sm2",
+  label: "SM-2 (classic)",
+  next(srs, grade, now) {
+    const s = { ...srs };
+    const q = SM2_QUALITY[grade];
+
+    if (q < 3) {
+      // A failed recall restarts the repetitions but leaves the ease alone.
+      countLapse(s);
+      s.reps = 0;
+      s.intervalDays = 1;
+      return finish(s, now);
+    }
+
+    if (s.reps === 0) s.intervalDays = 1;
+    else if (s.reps === 1) s.intervalDays = 6;
+    else s.intervalDays = Math.round(s.intervalDays * s.ease);
+    s.reps += 1;
+    s.ease = Math.max(1.3, s.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+    return finish(s, now);
+  }
+});
+
+// FSRS-style memory model (after FSRS v4.5): each card has a stability
+// (days until recall drops to 90%) and a difficulty (1–10). Intervals are
+// chosen so recall probability at the due date is REQUEST_RETENTION.
+const FSRS_W = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const REQUEST_RETENTION = 0.9;
+const FSRS_GRADE = { again: 1, hard: 2, good: 3, easy: 4 };
+
+function fsrsInitDifficulty(g) {
+  return clamp(FSRS_W[4] - (g - 3) * FSRS_W[5], 1, 10);
+}
+function fsrsRetrievability(elapsedDays, stability) {
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+}
+function fsrsInterval(stability) {
+  return stability / FACTOR * (Math.pow(REQUEST_RETENTION, 1 / DECAY) - 1);
+}
+
+const fsrs = makeScheduler({
+  id: "fsrs",
+  label: "FSRS-style memory model",
+  next(srs, grade, now) {
+    const s = { ...srs };
+    const g = FSRS_GRADE[grade];
+    const w = FSRS_W;
+
+    if (s.stability == null && s.reps === 0 && s.lapses === 0) {
+      // First ever review.
+      s.stability = w[g - 1];
+      s.difficulty = fsrsInitDifficulty(g);
+    } else {
+      if (s.stability == null) {
+        // Switching over from another scheduler: derive a starting point
+        // from the current interval and ease.
+        s.stability = Math.max(0.1, s.intervalDays || 0.1);
+        s.difficulty = clamp(11 - ((s.ease ?? 2.3) - 1.3) / 1.7 * 9, 1, 10);
+      }
+      const elapsed = Math.max(0, (now - (s.lastReview ?? now)) / DAY_MS);
+      const r = fsrsRetrievability(elapsed, s.stability);
+      const d = s.difficulty;
+
+      if (g === 1) {
+        s.stability = Math.min(s.stability,
+          w[11] * Math.pow(d, -w[12]) * (Math.pow(s.stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)));
+      } else {
+        const hardPenalty = g === 2 ? w[15] : 1;
+        const easyBonus = g === 4 ? w[16] : 1;
+        s.stability = s.stability * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s.stability, -w[9]) *
+          (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+      }
+
+      const nextD = d - w[6] * (g - 3);
+      s.difficulty = clamp(w[7] * fsrsInitDifficulty(4) + (1 - w[7]) * nextD, 1, 10);
+    }
+
+    if (g === 1) {
+      countLapse(s);
+      s.reps = 0;
+      s.intervalDays = Math.max(10 / (24*60), Math.min(1, fsrsInterval(s.stability)));
+    } else {
+      s.reps += 1;
+      s.intervalDays = Math.max(1, Math.round(fsrsInterval(s.stability)));
+    }
+    return finish(s, now);
+  }
+});
+
+export const SCHEDULERS = [simple, sm2, fsrs];
+
+export function getScheduler(id) {
+  return SCHEDULERS.find(s => s.id === id) || simple;
+}
+
+/** --------------------------
+ *  Learning steps
+ *  New and lapsed cards repeat at short delays (in minutes) before the
+ *  scheduler takes over, Anki-style. While (re)learning, state.step is the
+ *  current step index; a lapsed card also remembers the interval the
+ *  scheduler gave it (relearnDays) to resume at once it graduates again.
+ *  -------------------------- */
+export function isNewState(s) {
+  return !s.lastReview && s.reps === 0 && s.lapses === 0;
+}
+export function isLearning(s) {
+  return s.step != null;
+}
+
+// "1m 10m 1h" → [1, 10, 60]. Bare numbers are minutes; junk is dropped.
+export function parseSteps(text) {
+  const mult = { m: 1, h: 60, d: 24*60 };
+  return (text || "").split(/[\s,]+/).map(t => {
+    const m = t.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([mhd]?)$/);
+    return m ? Number(m[1]) * mult[m[2] || "m"] : NaN;
+  }).filter(n => n > 0);
+}
+
+function withoutLearning(s) {
+  const { step, relearnDays, ...rest } = s;
+  return rest;
+}
+
+function stepTo(s, i, steps, now) {
+  return { ...s, step: i, intervalDays: steps[i] / (24*60), lastReview: now, due: now + steps[i] * 60*1000 };
+}
+
+// The scheduler's next() wrapped in learning steps. With no steps this is
+// exactly scheduler.next().
+export function nextState(scheduler, srs, grade, { now = Date.now(), steps = [] } = {}) {
+  if (!steps.length) return scheduler.next(withoutLearning(srs), grade, now);
+
+  if (!isLearning(srs) && !isNewState(srs)) {
+    const s = scheduler.next(srs, grade, now);
+    if (grade !== "again") return s;
+    return stepTo({ ...s, relearnDays: s.intervalDays }, 0, steps, now);
+  }
+
+  const cur = srs.step ?? 0;
+  if (grade === "again") return stepTo(srs, 0, steps, now);
+  if (grade === "hard") return stepTo(srs, cur, steps, now);
+  if (grade === "good" && cur + 1 < steps.length) return stepTo(srs, cur + 1, steps, now);
+
+  // Graduate.
+  // Passing the last relearning step counts as a successful review, so the
+  // card can lapse again.
+  if (srs.relearnDays != null) {
+    return finish({ ...withoutLearning(srs), reps: srs.reps + 1, intervalDays: srs.relearnDays }, now);
+  }
+  return scheduler.next(withoutLearning(srs), grade, now);
+}
+
+// Next interval in days for every grade, learning steps included.
+export function previewNext(scheduler, srs, opts) {
+  const out = {};
+  for (const g of GRADES) out[g] = nextState(scheduler, srs, g, opts).intervalDays;
+  return out;
+}
+
+// Short human label for an interval in days: "10m", "6h", "3d", "2.5mo".
+export function formatInterval(days) {
+  if (!days) return "new";
+  if (days < 1/24) return `${Math.max(1, Math.round(days * 24*60))}m`;
+  if (days < 1) return `${Math.round(days * 24)}h`;
+  if (days < 60) return `${Math.round(days)}d`;
+  if (days < 365) return `${(days / 30).toFixed(1)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+}
@@ -0,0 +1,144 @@
+// Reference sync server, for testing and small self-hosted setups.
+// No dependencies; keeps everything in one JSON file. See SYNC.md.
+//
+//   node server/sync-server.mjs [--port 8787] [--data ./sync-data.json]
+//
+// Set SYNC_TOKEN to require "Authorization: Bearer <token>" on every request.
+
+import http from "node:http";
+import fs from "node:fs";
+import { mergeRecord, sameRecord, revives } from "../sync.js";
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg("port", process.env.PORT || 8787));
+const DATA = arg("data", "./sync-data.json");
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY = 20 * 1024 * 1024;
+const KINDS = ["decks", "cards", "reviews", "tombstones"];
+
+// state: { seq, decks|cards|reviews|tombstones: { [id]: { seq, data } } }.
+// seq goes up by one for every stored change; clients pull by seq.
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return { seq: 0, decks: {}, cards: {}, reviews: {}, tombstones: {} };
+  }
+}
+
+function save(state) {
+  const tmp = `${DATA}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, DATA);
+}
+
+function store(state, kind, data) {
+  state[kind][data.id] = { seq: ++state.seq, data };
+}
+
+// Same rules as applySyncChanges() in db.js: tombstones first and final
+// unless the record was restored after them (revives()), decks and cards
+// merged with mergeRecord(), reviews append-only.
+function applyPush(state, changes) {
+  for (const t of changes.tombstones) {
+    if (revives(state.decks[t.id]?.data ?? state.cards[t.id]?.data, t)) continue;
+    if (!state.tombstones[t.id]) store(state, "tombstones", t);
+    delete state.decks[t.id];
+    delete state.cards[t.id];
+    for (const [id, r] of Object.entries(state.reviews)) {
+      if (r.data.cardId === t.id) delete state.reviews[id];
+    }
+  }
+
+  for (const kind of ["decks", "cards"]) {
+    for (const rec of changes[kind]) {
+      const tomb = state.tombstones[rec.id]?.data;
+      if (tomb && !revives(rec, tomb)) continue;
+      if (tomb) delete state.tombstones[rec.id];
+      if (kind === "cards" && state.tombstones[rec.deckId]) {
+        store(state, "tombstones", { id: rec.id, kind: "card", deletedAt: Date.now() });
+        delete state.cards[rec.id];
+        continue;
+      }
+      const cur = state[kind][rec.id]?.data;
+      const merged = mergeRecord(cur, rec);
+      if (!cur || !sameRecord(cur, merged)) store(state, kind, merged);
+    }
+  }
+
+  for (const r of changes.reviews) {
+    if (!state.reviews[r.id] && state.cards[r.cardId]) store(state, "reviews", r);
+  }
+}
+
+function changesSince(state, since) {
+  const out = {};
+  for (const kind of KINDS) {
+    out[kind] = Object.values(state[kind]).filter(e => e.seq > since).map(e => e.data);
+  }
+  return out;
+}
+
+// Throws with a message for the client if the request isn't usable.
+function readRequest(body) {
+  const req = JSON.parse(body);
+  if (!req || typeof req !== "object") throw new Error("Body must be a JSON object.");
+  const since = Number(req.since ?? 0);
+  if (!Number.isFinite(since) || since < 0) throw new Error("since must be a sequence number.");
+  const changes = {};
+  for (const kind of KINDS) {
+    const list = req.changes?.[kind] ?? [];
+    if (!Array.isArray(list)) throw new Error(`changes.${kind} must be an array.`);
+    if (list.some(r => !r || typeof r.id !== "string")) throw new Error(`Every record in changes.${kind} needs a string id.`);
+    changes[kind] = list;
+  }
+  return { since, changes };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "POST, OPTIONS"
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const state = load();
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.url !== "/sync" || req.method !== "POST") return send(res, 404, { error: "POST /sync" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Bad or missing token." });
+
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY) {
+      send(res, 413, { error: "Request too large." });
+      req.destroy();
+    }
+  });
+  req.on("end", () => {
+    let parsed;
+    try {
+      parsed = readRequest(body);
+    } catch (e) {
+      return send(res, 400, { error: e.message });
+    }
+    applyPush(state, parsed.changes);
+    save(state);
+    send(res, 200, { cursor: state.seq, changes: changesSince(state, parsed.since) });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server on http://localhost:${server.address().port}/sync (data: ${DATA}${TOKEN ? ", token required" : ""})`);
+});
@@ -1,50 +1,120 @@
-// Simple app-shell cache for offline use.
+// App-shell cache for offline use, one cache per release.
 // Note: on iPhone, service workers require HTTPS (or localhost).
+//
+// PRECACHE pairs every app file with a hash of its content and VERSION is a
+// hash of those; `node tools/stamp-sw.mjs` rewrites both after any change.
+// The browser sees sw.js change, installs the new worker next to the
+// running one, and the page offers "Update available — reload". The new
+// worker only takes over when the page sends { type: "SKIP_WAITING" }, so
+// an open tab never mixes files from two releases.
 
-const CACHE = "gfc-cache-v1";
-const ASSETS = [
-  "./",
-  "./index.html",
-  "./styles.css",
-  "./app.js",
-  "./db.js",
-  "./manifest.webmanifest"
+// precache:start (generated by tools/stamp-sw.mjs)
+const VERSION = "2262502df1";
+const PRECACHE = [
+  ["./", "b327f4b221"],
+  ["./index.html", "b327f4b221"],
+  ["./styles.css", "b9c0f92987"],
+  ["./app.js", "7c5a358d9c"],
+  ["./db.js", "03041195ec"],
+  ["./text.js", "2c96928b08"],
+  ["./scheduler.js", "353673f3ea"],
+  ["./declension.js", "c2baf9cbe6"],
+  ["./query.js", "4e9c786db1"],
+  ["./due.js", "f1ffd2a5e8"],
+  ["./sync.js", "92e1d14a2b"],
+  ["./manifest.webmanifest", "ba5ec10f98"]
 ];
+// precache:end
+
+importScripts("./due.js");
+
+const PREFIX = "gfc-";
+const CACHE = `${PREFIX}${VERSION}`;
+
+// Each file is fetched with its hash in the query, past any HTTP cache,
+// and stored under its plain URL.
+async function precache() {
+  const cache = await caches.open(CACHE);
+  await Promise.all(PRECACHE.map(async ([url, rev]) => {
+    const res = await fetch(`${url}?v=${rev}`, { cache: "reload" });
+    if (!res.ok) throw new Error(`${url}: ${res.status}`);
+    await cache.put(url, res);
+  }));
+}
 
 self.addEventListener("install", (event) => {
-  event.waitUntil(
-    caches.open(CACHE).then(cache => cache.addAll(ASSETS)).then(() => self.skipWaiting())
-  );
+  event.waitUntil(precache());
 });
 
 self.addEventListener("activate", (event) => {
   event.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.map(k => (k === CACHE ? null : caches.delete(k)))))
+    caches.keys()
+      .then(keys => Promise.all(keys.map(k => (k.startsWith(PREFIX) && k !== CACHE ? caches.delete(k) : null))))
       .then(() => self.clients.claim())
   );
 });
 
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "SKIP_WAITING") self.skipWaiting();
+  if (msg.type === "GET_VERSION") event.ports[0]?.postMessage({ version: VERSION });
+});
+
 self.addEventListener("fetch", (event) => {
   const req = event.request;
 
-  // Network-first for navigation, cache fallback
+  // Sync requests (POST) and other sites always go to the network.
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  // Navigations get this release's index.html, online or not; a new
+  // index.html arrives with the next worker, together with its scripts.
   if (req.mode === "navigate") {
     event.respondWith(
-      fetch(req).then(res => {
-        const copy = res.clone();
-        caches.open(CACHE).then(c => c.put("./index.html", copy)).catch(() => {});
-        return res;
-      }).catch(() => caches.match("./index.html"))
+      caches.open(CACHE)
+        .then(c => c.match("./index.html"))
+        .then(hit => hit || fetch(req))
     );
     return;
   }
 
-  // Cache-first for static assets
+  // Cache-first from this release's cache; anything else (icons, …) is
+  // added to it on first use.
   event.respondWith(
-    caches.match(req).then(hit => hit || fetch(req).then(res => {
-      const copy = res.clone();
-      caches.open(CACHE).then(c => c.put(req, copy)).catch(() => {});
+    caches.open(CACHE).then(cache => cache.match(req, { ignoreSearch: true }).then(hit => hit || fetch(req).then(res => {
+      if (res.ok) cache.put(req, res.clone()).catch(() => {});
       return res;
-    }))
+    })))
+  );
+});
+
+/** --------------------------
+ *  Reminders and badge (with the app closed)
+ *  Periodic Background Sync wakes the worker now and then (the browser
+ *  picks when); it refreshes the badge and, once the chosen time has
+ *  passed, shows the day's reminder if anything is due.
+ *  -------------------------- */
+async function remind() {
+  const { due, reminders } = await gfcDue.readDueState();
+  if (self.navigator.setAppBadge) {
+    await (due ? self.navigator.setAppBadge(due) : self.navigator.clearAppBadge()).catch(() => {});
+  }
+  if (!due || !gfcDue.reminderDue(reminders)) return;
+  if (self.Notification?.permission !== "granted") return;
+  await self.registration.showNotification("German Flashcards", {
+    body: `${due} card${due === 1 ? " is" : "s are"} due today.`,
+    tag: gfcDue.REMINDER_TAG
+  });
+  await gfcDue.markReminderShown();
+}
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === gfcDue.REMINDER_TAG) event.waitUntil(remind());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true })
+      .then(list => (list[0] ? list[0].focus() : self.clients.openWindow("./")))
   );
 });
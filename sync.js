@@ -0,0 +1,94 @@
+// Merge rules shared by the app and the reference sync server
+// (server/sync-server.mjs). Plain data in, plain data out: no IndexedDB,
+// no DOM, so Node can import it too. The protocol is described in SYNC.md.
+//
+// Decks and cards carry:
+// - updatedAt: last local change of any kind (edit, review, move)
+// - fieldTimes: { [field]: ms } for fields edited after creation; a field
+//   without an entry dates from createdAt
+// - revivedAt: when it was last restored (backup, restore point, trash), so
+//   it outlives a tombstone from before that; see revives()
+// Each field goes to whichever side changed it last. Schedules (srs and each
+// srsTracks entry) go to whichever side was reviewed last instead, so a
+// review on the phone and an edit on the laptop both survive.
+
+const DAY_MS = 24*60*60*1000;
+
+// Keys that aren't user fields; they're merged by their own rules.
+export const META = new Set(["id", "createdAt", "updatedAt", "revivedAt", "fieldTimes", "srs", "srsTracks"]);
+
+// When was this SRS state last graded? Older data has no lastReview, but
+// due - interval gives the same moment for anything applySRS() produced.
+export function reviewedAt(srs) {
+  if (!srs) return 0;
+  if (srs.lastReview) return srs.lastReview;
+  return (srs.due ?? 0) - (srs.intervalDays ?? 0) * DAY_MS;
+}
+
+// JSON with sorted keys, so equal records always compare equal.
+export function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v) ?? "null";
+}
+
+function fieldTime(rec, field) {
+  return rec.fieldTimes?.[field] ?? rec.createdAt ?? 0;
+}
+
+// The more recently reviewed state; on a tie the one with more reps, then
+// a fixed order, so both sides of a sync pick the same one.
+function newerSRS(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const ta = reviewedAt(a), tb = reviewedAt(b);
+  if (ta !== tb) return tb > ta ? b : a;
+  if ((a.reps ?? 0) !== (b.reps ?? 0)) return (b.reps ?? 0) > (a.reps ?? 0) ? b : a;
+  return stableStringify(b) > stableStringify(a) ? b : a;
+}
+
+// Merges two versions of the same deck or card. Symmetric: mergeRecord(a, b)
+// and mergeRecord(b, a) give equal records.
+export function mergeRecord(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const out = { id: a.id };
+  const fieldTimes = {};
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)].filter(k => !META.has(k)));
+  for (const f of fields) {
+    const ta = fieldTime(a, f), tb = fieldTime(b, f);
+    const useB = tb > ta || (tb === ta && stableStringify(b[f]) > stableStringify(a[f]));
+    const src = useB ? b : a;
+    if (f in src) out[f] = src[f];
+    if (src.fieldTimes?.[f] != null) fieldTimes[f] = src.fieldTimes[f];
+  }
+
+  out.createdAt = Math.min(a.createdAt ?? Infinity, b.createdAt ?? Infinity);
+  if (!Number.isFinite(out.createdAt)) delete out.createdAt;
+  out.updatedAt = Math.max(a.updatedAt ?? 0, b.updatedAt ?? 0);
+  if (a.revivedAt || b.revivedAt) out.revivedAt = Math.max(a.revivedAt ?? 0, b.revivedAt ?? 0);
+  if (Object.keys(fieldTimes).length) out.fieldTimes = fieldTimes;
+
+  if (a.srs || b.srs) out.srs = newerSRS(a.srs, b.srs);
+  if (a.srsTracks || b.srsTracks) {
+    out.srsTracks = {};
+    for (const t of new Set([...Object.keys(a.srsTracks || {}), ...Object.keys(b.srsTracks || {})])) {
+      out.srsTracks[t] = newerSRS(a.srsTracks?.[t], b.srsTracks?.[t]);
+    }
+  }
+  return out;
+}
+
+// Deletes win over edits, but not over a restore: a record restored after
+// the tombstone was written brings it back, and the tombstone is dropped.
+export function revives(rec, tomb) {
+  return !!rec && !!tomb && (rec.revivedAt ?? 0) > tomb.deletedAt;
+}
+
+export function sameRecord(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateBackup } from "../db.js";
+
+const deck = { id: "d1", name: "A1" };
+const card = { id: "c1", deckId: "d1", english: "house", german: "Haus" };
+
+test("validateBackup fills in optional fields", () => {
+  const b = validateBackup({ version: 1, decks: [deck], cards: [card] });
+  assert.equal(b.cards[0].article, "");
+  assert.equal(b.cards[0].srs.reps, 0);
+  assert.equal(typeof b.decks[0].createdAt, "number");
+});
+
+test("validateBackup keeps the card's own schedule", () => {
+  const b = validateBackup({ version: 1, decks: [deck], cards: [{ ...card, srs: { reps: 3, due: 5 } }] });
+  assert.equal(b.cards[0].srs.reps, 3);
+  assert.equal(b.cards[0].srs.due, 5);
+});
+
+test("validateBackup rejects files it can't restore", () => {
+  assert.throws(() => validateBackup(null), /Not a backup/);
+  assert.throws(() => validateBackup({ version: 1, decks: [] }), /no decks\/cards/);
+  assert.throws(() => validateBackup({ version: 99, decks: [], cards: [] }), /Unsupported backup version/);
+  assert.throws(() => validateBackup({ version: 1, decks: [{ id: "d1" }], cards: [] }), /Deck #1/);
+  assert.throws(() => validateBackup({ version: 1, decks: [deck], cards: [{ ...card, deckId: "x" }] }), /isn't in the backup/);
+});
+
+test("validateBackup keeps only reviews of cards in the backup", () => {
+  const reviews = [{ id: "r1", cardId: "c1" }, { id: "r2", cardId: "gone" }, { cardId: "c1" }];
+  const b = validateBackup({ version: 2, decks: [deck], cards: [card], reviews });
+  assert.deepEqual(b.reviews.map(r => r.id), ["r1"]);
+  assert.deepEqual(validateBackup({ version: 1, decks: [deck], cards: [card] }).reviews, []);
+});
+
+test("validateBackup makes a deck top level when its parent is missing", () => {
+  const b = validateBackup({ version: 2, decks: [{ ...deck, parentId: "gone" }], cards: [] });
+  assert.equal(b.decks[0].parentId, null);
+});
+
+test("validateBackup breaks parent loops of any length", () => {
+  const decks = [
+    { id: "a", name: "A", parentId: "b" }, { id: "b", name: "B", parentId: "a" },
+    { id: "c", name: "C", parentId: "a" }, { id: "s", name: "S", parentId: "s" },
+    { id: "x", name: "X", parentId: "y" }, { id: "y", name: "Y", parentId: "z" }, { id: "z", name: "Z", parentId: "x" }
+  ];
+  const parents = Object.fromEntries(validateBackup({ version: 2, decks, cards: [] }).decks.map(d => [d.id, d.parentId]));
+  assert.deepEqual(parents, { a: null, b: "a", c: "a", s: null, x: null, y: "z", z: "x" });
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canDecline, declineNoun, makeQuestion, checkDeclension } from "../declension.js";
+
+test("canDecline needs a noun with der/die/das", () => {
+  assert.ok(canDecline({ article: "Die", german: "Katze" }));
+  assert.ok(!canDecline({ article: "", german: "Katze" }));
+  assert.ok(!canDecline({ type: "verb", article: "das", german: "Essen" }));
+});
+
+test("declineNoun adds the case endings", () => {
+  assert.equal(declineNoun("Hund", "m", "gen"), "Hundes");
+  assert.equal(declineNoun("Computer", "m", "gen"), "Computers");
+  assert.equal(declineNoun("Haus", "n", "gen"), "Hauses");
+  assert.equal(declineNoun("Katze", "f", "gen"), "Katze");
+  assert.equal(declineNoun("Junge", "m", "acc"), "Jungen");
+  assert.equal(declineNoun("Junge", "m", "nom"), "Junge");
+  assert.equal(declineNoun("Kinder", "pl", "dat", true), "Kindern");
+  assert.equal(declineNoun("Autos", "pl", "dat", true), "Autos");
+});
+
+test("makeQuestion declines the article and the adjective", (t) => {
+  const card = { article: "der", german: "Hund" };
+  t.mock.method(Math, "random", () => 0.5); // singular, definite, middle frame and adjective
+  let q = makeQuestion(card, "dat");
+  assert.equal(q.answer, "dem");
+  assert.equal(q.prompt, "von ___ Hund");
+  assert.ok(q.choices.includes("dem"));
+  q = makeQuestion(card, "acc", { adjectives: true });
+  assert.equal(q.answer, "den kleinen");
+  assert.deepEqual(q.choices, []);
+
+  t.mock.method(Math, "random", () => 0.9); // indefinite
+  assert.equal(makeQuestion(card, "gen").answer, "eines");
+
+  t.mock.method(Math, "random", () => 0); // plural
+  q = makeQuestion({ article: "das", german: "Kind" }, "dat", { plural: "Kinder" });
+  assert.equal(q.answer, "den");
+  assert.equal(q.prompt, "mit ___ Kindern");
+});
+
+test("checkDeclension only takes the exact form", () => {
+  const q = { answer: "dem" };
+  assert.equal(checkDeclension(q, " Dem ").word, "exact");
+  assert.equal(checkDeclension(q, "den").word, "wrong");
+});
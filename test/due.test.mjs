@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "../due.js";
+
+const { trackDue, countDue, dayKey, reminderAt, reminderDue } = globalThis.gfcDue;
+
+test("dayKey is the local date, zero-padded", () => {
+  assert.equal(dayKey(new Date(2024, 0, 5, 23, 59)), "2024-01-05");
+  assert.equal(dayKey(new Date(2024, 11, 31, 0, 0)), "2024-12-31");
+});
+
+test("a track nobody studied is due from the card's creation", () => {
+  const card = { createdAt: 100, srs: { due: 500 }, srsTracks: { reverse: { due: 50 } } };
+  assert.equal(trackDue(card, "main"), 500);
+  assert.equal(trackDue(card, "reverse"), 50);
+  assert.equal(trackDue(card, "case"), 100);
+  assert.equal(countDue([card], ["main", "reverse", "case"], 200), 2);
+});
+
+test("a reminder is owed once a day, after its time", () => {
+  const morning = new Date(2024, 4, 10, 8, 0).getTime();
+  const evening = new Date(2024, 4, 10, 20, 0).getTime();
+  assert.equal(reminderAt("19:30", morning), new Date(2024, 4, 10, 19, 30).getTime());
+  const reminders = { enabled: true, time: "19:30" };
+  assert.equal(reminderDue(reminders, morning), false);
+  assert.equal(reminderDue(reminders, evening), true);
+  assert.equal(reminderDue({ ...reminders, lastShown: "2024-05-10" }, evening), false);
+  assert.equal(reminderDue({ ...reminders, enabled: false }, evening), false);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuery, matchesQuery } from "../query.js";
+
+const DAY = 24*60*60*1000;
+const NOW = new Date(2026, 0, 10, 12, 0).getTime();
+
+const ctx = {
+  deckPath: (id) => ({ a1: "A1 › Nouns", b1: "B1" })[id] ?? "",
+  dueAt: (card) => card.srs?.due ?? 0,
+  isLeech: (card) => (card.srs?.lapses ?? 0) >= 8
+};
+const srs = (over = {}) => ({ due: NOW, intervalDays: 0, ease: 2.5, reps: 0, lapses: 0, ...over });
+
+const haus = {
+  id: "1", deckId: "a1", type: "noun", article: "das", german: "Haus", plural: "Häuser",
+  english: "house", example: "Das Haus ist groß.", notes: "", tags: ["a1", "home"],
+  srs: srs({ reps: 4, lapses: 1, intervalDays: 30, due: NOW + 3*DAY, lastReview: NOW - DAY })
+};
+const gehen = {
+  id: "2", deckId: "b1", type: "verb", german: "gehen", english: "to go",
+  auxiliary: "sein", tags: [], srs: srs({ lapses: 9, reps: 12, intervalDays: 1, due: NOW - DAY, lastReview: NOW - 2*DAY })
+};
+const neu = { id: "3", deckId: "b1", type: "noun", article: "die", german: "Lampe", english: "lamp", tags: [], srs: srs() };
+const cards = [haus, gehen, neu];
+
+function search(text) {
+  const { terms, errors } = parseQuery(text, NOW);
+  assert.deepEqual(errors, []);
+  return cards.filter(c => matchesQuery(c, terms, ctx)).map(c => c.id);
+}
+
+test("words and phrases match anywhere, folded", () => {
+  assert.deepEqual(search("hauser"), ["1"]);
+  assert.deepEqual(search('"ist GROSS"'), ["1"]);
+  assert.deepEqual(search("home"), ["1"]);
+  assert.deepEqual(search("haus groß"), ["1"]);
+  assert.deepEqual(search("haus lamp"), []);
+});
+
+test("fields: contains, exact, empty, deck path and aliases", () => {
+  assert.deepEqual(search("en:go"), ["2"]);
+  assert.deepEqual(search("deck:nouns"), ["1"]);
+  assert.deepEqual(search("article:die"), ["3"]);
+  assert.deepEqual(search("article:di"), [], "exact fields don't match a prefix");
+  assert.deepEqual(search("type:verb"), ["2"]);
+  assert.deepEqual(search("tag:home"), ["1"]);
+  assert.deepEqual(search("plural: type:noun"), ["3"]);
+});
+
+test("numbers, due, is: and negation", () => {
+  assert.deepEqual(search("lapses>0"), ["1", "2"]);
+  assert.deepEqual(search("reps=0"), ["3"]);
+  assert.deepEqual(search("interval>=30"), ["1"]);
+  assert.deepEqual(search("due:now"), ["2", "3"]);
+  assert.deepEqual(search("due:7d"), ["1", "2", "3"]);
+  assert.deepEqual(search("due:today -is:new"), ["2"]);
+  assert.deepEqual(search("is:leech"), ["2"]);
+  assert.deepEqual(search("-tag:a1"), ["2", "3"]);
+});
+
+test("bad terms are reported and left out", () => {
+  const { terms, errors } = parseQuery("haus lapses>x color:red due:soon german<3 is:old", NOW);
+  assert.equal(terms.length, 1);
+  assert.equal(errors.length, 5);
+  assert.match(errors[1], /Unknown field "color:"/);
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SCHEDULERS, GRADES, getScheduler, formatInterval,
+  isNewState, isLearning, parseSteps, nextState, previewNext
+} from "../scheduler.js";
+
+const DAY = 24*60*60*1000;
+const NOW = Date.UTC(2026, 0, 1);
+const fresh = () => ({ due: 0, intervalDays: 0, ease: 2.5, reps: 0, lapses: 0 });
+
+// Grades a card in turn, each review a day after the last one was due.
+function run(scheduler, grades, s = fresh()) {
+  let now = NOW;
+  for (const g of grades) {
+    s = scheduler.next(s, g, now);
+    now = s.due + DAY;
+  }
+  return s;
+}
+
+test("getScheduler falls back to simple", () => {
+  assert.equal(getScheduler("sm2").id, "sm2");
+  assert.equal(getScheduler("nope").id, "simple");
+});
+
+for (const sc of SCHEDULERS) {
+  test(`${sc.id}: next() doesn't mutate and sets due from the interval`, () => {
+    const s = fresh();
+    const n = sc.next(s, "good", NOW);
+    assert.deepEqual(s, fresh());
+    assert.equal(n.lastReview, NOW);
+    assert.equal(n.due, NOW + n.intervalDays * DAY);
+  });
+
+  test(`${sc.id}: better grades never give shorter intervals`, () => {
+    const p = sc.preview(run(sc, ["good", "good"]), NOW + 30 * DAY);
+    for (let i = 1; i < GRADES.length; i++) assert.ok(p[GRADES[i]] >= p[GRADES[i - 1]], JSON.stringify(p));
+  });
+
+  test(`${sc.id}: a new card's first Again isn't a lapse`, () => {
+    assert.equal(run(sc, ["again"]).lapses, 0);
+    assert.equal(run(sc, ["again", "again"]).lapses, 0);
+  });
+
+  test(`${sc.id}: failing a passed card is one lapse`, () => {
+    const s = run(sc, ["good", "good", "again"]);
+    assert.equal(s.lapses, 1);
+    assert.equal(s.reps, 0);
+    assert.equal(run(sc, ["good", "again", "again"]).lapses, 1);
+    assert.equal(run(sc, ["good", "again", "good", "again"]).lapses, 2);
+  });
+}
+
+test("simple keeps its original intervals", () => {
+  const sc = getScheduler("simple");
+  assert.equal(sc.next(fresh(), "good", NOW).intervalDays, 1);
+  assert.equal(sc.next(fresh(), "easy", NOW).intervalDays, 2);
+  assert.equal(sc.next(fresh(), "again", NOW).intervalDays, 0.25);
+  assert.ok(Math.abs(run(sc, ["good", "good"]).intervalDays - 2.6) < 1e-9); // 1 day × ease 2.6
+});
+
+test("sm2 follows 1, 6, then interval × ease", () => {
+  const sc = getScheduler("sm2");
+  assert.deepEqual([1, 2, 3].map(n => run(sc, Array(n).fill("good")).intervalDays), [1, 6, 15]);
+});
+
+test("sm2 keeps the ease on a failed recall", () => {
+  const sc = getScheduler("sm2");
+  const passed = run(sc, ["good", "good"]);
+  const failed = sc.next(passed, "again", NOW);
+  assert.equal(failed.ease, passed.ease);
+  assert.equal(failed.intervalDays, 1);
+  assert.equal(failed.reps, 0);
+  assert.ok(sc.next(passed, "hard", NOW).ease < passed.ease);
+});
+
+test("fsrs starts from the grade's initial stability", () => {
+  const sc = getScheduler("fsrs");
+  const easy = sc.next(fresh(), "easy", NOW), good = sc.next(fresh(), "good", NOW);
+  assert.ok(easy.stability > good.stability);
+  assert.ok(easy.difficulty < good.difficulty);
+});
+
+test("fsrs takes over a card from another scheduler", () => {
+  const s = run(getScheduler("simple"), ["good", "good", "good"]);
+  const n = getScheduler("fsrs").next(s, "good", s.due);
+  assert.ok(n.stability > 0);
+  assert.ok(n.intervalDays >= s.intervalDays);
+});
+
+test("parseSteps reads minutes, hours and days", () => {
+  assert.deepEqual(parseSteps("1m 10m, 1h 1d 5 junk"), [1, 10, 60, 1440, 5]);
+  assert.deepEqual(parseSteps(""), []);
+});
+
+test("nextState without steps is the scheduler's next()", () => {
+  const sc = getScheduler("sm2");
+  assert.deepEqual(nextState(sc, fresh(), "good", { now: NOW }), sc.next(fresh(), "good", NOW));
+});
+
+test("a new card walks the learning steps, then graduates", () => {
+  const sc = getScheduler("simple"), opts = { now: NOW, steps: [1, 10] };
+  let s = nextState(sc, fresh(), "good", opts);
+  assert.equal(s.step, 1);
+  assert.equal(s.due, NOW + 10 * 60 * 1000);
+  assert.ok(isLearning(s) && !isNewState(s));
+  assert.equal(nextState(sc, s, "again", opts).step, 0);
+  assert.equal(nextState(sc, s, "hard", opts).step, 1);
+  s = nextState(sc, s, "good", opts);
+  assert.ok(!isLearning(s));
+  assert.equal(s.intervalDays, 1);
+  assert.equal(s.lapses, 0);
+});
+
+test("a lapsed card relearns, then resumes at the scheduler's interval", () => {
+  const sc = getScheduler("simple"), opts = { now: NOW, steps: [10] };
+  let s = run(sc, ["good", "good", "good"]);
+  s = nextState(sc, s, "again", opts);
+  assert.equal(s.lapses, 1);
+  assert.equal(s.step, 0);
+  assert.equal(s.relearnDays, 0.25);
+  assert.equal(previewNext(sc, s, opts).good, 0.25);
+  s = nextState(sc, s, "good", opts);
+  assert.ok(!isLearning(s) && s.relearnDays === undefined);
+  assert.equal(s.intervalDays, 0.25);
+  // Graduating counts as a pass, so the next failure is a lapse again.
+  assert.equal(nextState(sc, s, "again", opts).lapses, 2);
+});
+
+test("formatInterval", () => {
+  assert.equal(formatInterval(0), "new");
+  assert.equal(formatInterval(10 / (24*60)), "10m");
+  assert.equal(formatInterval(0.25), "6h");
+  assert.equal(formatInterval(3), "3d");
+  assert.equal(formatInterval(90), "3.0mo");
+  assert.equal(formatInterval(400), "1.1y");
+});
@@ -0,0 +1,150 @@
+// Two devices (fake IndexedDB) syncing through the reference server, the
+// way syncNow() in app.js does it.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import * as dbm from "../db.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gfc-sync-"));
+let server, url;
+
+before(async () => {
+  server = spawn(process.execPath, ["server/sync-server.mjs", "--port", "0", "--data", path.join(dir, "data.json")], {
+    cwd: path.resolve(import.meta.dirname, ".."),
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  url = await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      const m = String(chunk).match(/(http:\/\/localhost:\d+\/sync)/);
+      if (m) resolve(m[1]);
+    });
+    server.on("exit", (code) => reject(new Error(`sync server exited with ${code}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const wait = () => new Promise(r => setTimeout(r, 5));
+
+async function device() {
+  globalThis.indexedDB = new IDBFactory();
+  const db = await dbm.openDB();
+  const dev = {
+    db,
+    state: { cursor: 0, pushedAt: 0 },
+    async sync() {
+      const startedAt = Date.now();
+      const changes = await dbm.getChangesSince(db, dev.state.pushedAt);
+      const res = await fetch(url, { method: "POST", body: JSON.stringify({ since: dev.state.cursor, changes }) });
+      const body = await res.json();
+      assert.ok(res.ok, body.error);
+      await dbm.applySyncChanges(db, body.changes);
+      dev.state = { cursor: body.cursor, pushedAt: startedAt };
+      await wait();
+    },
+    resetSync() { dev.state = { cursor: 0, pushedAt: 0 }; },
+    async words(deckId) { return (await dbm.getCardsByDeck(db, deckId)).map(c => c.german).sort(); }
+  };
+  return dev;
+}
+
+test("edits and deletes reach the other device", async () => {
+  const a = await device(), b = await device();
+  const deck = await dbm.addDeck(a.db, "Shared");
+  const card = await dbm.addCard(a.db, deck.id, { english: "dog", german: "Hund" });
+  await wait();
+  await a.sync(); await b.sync();
+  assert.deepEqual(await b.words(deck.id), ["Hund"]);
+
+  await dbm.updateCard(b.db, card.id, { ...card, english: "hound" });
+  await wait();
+  await b.sync(); await a.sync();
+  assert.equal((await dbm.getAllCards(a.db))[0].english, "hound");
+
+  // Deleted on A, edited on B afterwards: the delete still wins.
+  await dbm.deleteCard(a.db, card.id);
+  await wait();
+  await dbm.updateCard(b.db, card.id, { ...card, english: "doggy" });
+  await wait();
+  await a.sync(); await b.sync(); await a.sync();
+  assert.deepEqual(await a.words(deck.id), []);
+  assert.deepEqual(await b.words(deck.id), []);
+});
+
+test("a backup restored after a synced delete brings the card back everywhere", async () => {
+  const a = await device(), b = await device();
+  const deck = await dbm.addDeck(a.db, "Restore");
+  const card = await dbm.addCard(a.db, deck.id, { english: "house", german: "Haus" });
+  await wait();
+  await a.sync(); await b.sync();
+  const backup = dbm.validateBackup(await dbm.exportAll(a.db));
+
+  await dbm.deleteCard(a.db, card.id);
+  await wait();
+  await a.sync(); await b.sync();
+  assert.deepEqual(await b.words(deck.id), []);
+
+  await dbm.restoreBackup(a.db, backup, "replace");
+  a.resetSync();
+  await wait();
+  await a.sync();
+  assert.deepEqual(await a.words(deck.id), ["Haus"], "the pulled tombstone doesn't delete it again");
+  await b.sync();
+  assert.deepEqual(await b.words(deck.id), ["Haus"], "the server took the restored card");
+
+  // A later delete wins over the restore.
+  await dbm.deleteCard(b.db, card.id);
+  await wait();
+  await b.sync(); await a.sync();
+  assert.deepEqual(await a.words(deck.id), []);
+});
+
+test("rolling back to a restore point syncs like a restore", async () => {
+  const a = await device(), b = await device();
+  const deck = await dbm.addDeck(a.db, "Rollback");
+  const card = await dbm.addCard(a.db, deck.id, { english: "tree", german: "Baum" });
+  await wait();
+  await a.sync(); await b.sync();
+  const snap = await dbm.addSnapshot(a.db, { reason: "manual", keep: 5 });
+
+  await dbm.deleteCard(a.db, card.id);
+  await dbm.addCard(b.db, deck.id, { english: "leaf", german: "Blatt" });
+  await wait();
+  await a.sync(); await b.sync(); await a.sync();
+  assert.deepEqual(await a.words(deck.id), ["Blatt"]);
+
+  // What rollbackTo() in app.js does.
+  await dbm.restoreBackup(a.db, await dbm.readSnapshot(a.db, snap.id), "replace");
+  a.resetSync();
+  await wait();
+  await a.sync(); await b.sync();
+  assert.deepEqual(await a.words(deck.id), ["Baum"]);
+  assert.deepEqual(await b.words(deck.id), ["Baum"], "the deleted card is back and the newer one is gone");
+});
+
+test("restoring from the trash after a synced delete brings the card back everywhere", async () => {
+  const a = await device(), b = await device();
+  const deck = await dbm.addDeck(a.db, "Trash");
+  const card = await dbm.addCard(a.db, deck.id, { english: "cat", german: "Katze" });
+  await wait();
+  await a.sync(); await b.sync();
+
+  const trashId = await dbm.deleteCard(a.db, card.id);
+  await wait();
+  await a.sync(); await b.sync();
+  assert.deepEqual(await b.words(deck.id), []);
+
+  await dbm.restoreTrash(a.db, trashId);
+  await wait();
+  await a.sync(); await b.sync();
+  assert.deepEqual(await a.words(deck.id), ["Katze"]);
+  assert.deepEqual(await b.words(deck.id), ["Katze"]);
+});
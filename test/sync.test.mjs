@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeRecord, sameRecord, stableStringify, reviewedAt, revives } from "../sync.js";
+
+const base = { id: "c1", createdAt: 100, updatedAt: 100, english: "house", german: "Haus", tags: [] };
+
+test("stableStringify ignores key order and undefined", () => {
+  assert.equal(stableStringify({ b: 1, a: [2, { d: undefined, c: 3 }] }), '{"a":[2,{"c":3}],"b":1}');
+  assert.ok(sameRecord({ a: 1, b: 2 }, { b: 2, a: 1 }));
+});
+
+test("reviewedAt falls back to due - interval", () => {
+  assert.equal(reviewedAt({ lastReview: 5, due: 99 }), 5);
+  assert.equal(reviewedAt({ due: 3 * 86400000, intervalDays: 2 }), 86400000);
+  assert.equal(reviewedAt(null), 0);
+});
+
+test("mergeRecord keeps the later edit of each field", () => {
+  const a = { ...base, updatedAt: 300, english: "home", fieldTimes: { english: 300 } };
+  const b = { ...base, updatedAt: 200, tags: ["a1"], fieldTimes: { tags: 200 } };
+  const m = mergeRecord(a, b);
+  assert.equal(m.english, "home");
+  assert.deepEqual(m.tags, ["a1"]);
+  assert.deepEqual(m.fieldTimes, { english: 300, tags: 200 });
+  assert.equal(m.updatedAt, 300);
+  assert.ok(sameRecord(m, mergeRecord(b, a)));
+});
+
+test("mergeRecord breaks ties the same way on both sides", () => {
+  const a = { ...base, english: "house", fieldTimes: { english: 200 } };
+  const b = { ...base, english: "building", fieldTimes: { english: 200 } };
+  assert.ok(sameRecord(mergeRecord(a, b), mergeRecord(b, a)));
+});
+
+test("mergeRecord keeps the schedule reviewed last", () => {
+  const a = { ...base, srs: { reps: 1, lastReview: 500 }, srsTracks: { recognition: { reps: 4, lastReview: 100 } } };
+  const b = { ...base, english: "home", fieldTimes: { english: 900 }, srs: { reps: 3, lastReview: 400 },
+    srsTracks: { recognition: { reps: 5, lastReview: 600 }, plural: { reps: 1, lastReview: 50 } } };
+  const m = mergeRecord(a, b);
+  assert.equal(m.srs.reps, 1);
+  assert.equal(m.english, "home");
+  assert.equal(m.srsTracks.recognition.reps, 5);
+  assert.equal(m.srsTracks.plural.reps, 1);
+});
+
+test("mergeRecord with one side missing returns the other", () => {
+  assert.equal(mergeRecord(undefined, base), base);
+  assert.equal(mergeRecord(base, null), base);
+});
+
+test("mergeRecord keeps the latest revivedAt", () => {
+  assert.equal(mergeRecord({ ...base, revivedAt: 700 }, { ...base, revivedAt: 400 }).revivedAt, 700);
+  assert.equal("revivedAt" in mergeRecord(base, { ...base }), false);
+});
+
+test("only a restore after the delete revives a record", () => {
+  const tomb = { id: "c1", kind: "card", deletedAt: 500 };
+  assert.ok(revives({ ...base, revivedAt: 600 }, tomb));
+  assert.ok(!revives({ ...base, revivedAt: 400 }, tomb));
+  assert.ok(!revives({ ...base, updatedAt: 900 }, tomb), "an edit alone doesn't");
+  assert.ok(!revives(undefined, tomb));
+  assert.ok(!revives(base, undefined));
+});
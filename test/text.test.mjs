@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  foldGerman, levenshtein, diffChars, splitArticle, checkTypedAnswer,
+  umlautStem, barePlural, pluralCandidates, matchPluralPattern,
+  clozeIds, stripCloze, renderCloze, autoCloze, searchKey
+} from "../text.js";
+
+test("foldGerman spells umlauts and ß out", () => {
+  assert.equal(foldGerman("  Straße  über\tÄpfel "), "strasse ueber aepfel");
+  assert.equal(foldGerman(undefined), "");
+});
+
+test("levenshtein counts single-letter edits", () => {
+  assert.equal(levenshtein("haus", "haus"), 0);
+  assert.equal(levenshtein("haus", "maus"), 1);
+  assert.equal(levenshtein("", "abc"), 3);
+  assert.equal(levenshtein("kitten", "sitting"), 3);
+});
+
+test("diffChars marks missing and extra letters", () => {
+  assert.deepEqual(diffChars("Haus", "haus"), [{ type: "same", text: "Haus" }]);
+  assert.deepEqual(diffChars("Haus", "Hau"), [{ type: "same", text: "Hau" }, { type: "missing", text: "s" }]);
+  assert.deepEqual(diffChars("Hut", "Huet"), [
+    { type: "same", text: "Hu" }, { type: "extra", text: "e" }, { type: "same", text: "t" }
+  ]);
+});
+
+test("splitArticle only splits off der/die/das", () => {
+  assert.deepEqual(splitArticle("Die  Katze"), { article: "die", word: "Katze" });
+  assert.deepEqual(splitArticle("ein Hund"), { article: "", word: "ein Hund" });
+});
+
+test("checkTypedAnswer grades the word and the article", () => {
+  const card = { article: "die", german: "Tür" };
+  assert.deepEqual(
+    (({ word, article }) => ({ word, article }))(checkTypedAnswer(card, "die Tür")),
+    { word: "exact", article: "ok" }
+  );
+  assert.equal(checkTypedAnswer(card, "die Tuer").word, "umlaut");
+  assert.equal(checkTypedAnswer(card, "der Tür").article, "wrong");
+  assert.equal(checkTypedAnswer(card, "Tür").article, "omitted");
+  assert.equal(checkTypedAnswer({ article: "das", german: "Fahrrad" }, "das Fahrad").word, "typo");
+  assert.equal(checkTypedAnswer(card, "die Tisch").word, "wrong");
+});
+
+test("checkTypedAnswer reads a typed article as part of a word without one", () => {
+  const r = checkTypedAnswer({ article: "", german: "die Grünen" }, "die Grünen");
+  assert.equal(r.word, "exact");
+  assert.equal(r.article, "n/a");
+});
+
+test("umlautStem umlauts the last au/a/o/u", () => {
+  assert.equal(umlautStem("Haus"), "Häus");
+  assert.equal(umlautStem("Apfel"), "Äpfel");
+  assert.equal(umlautStem("Buch"), "Büch");
+  assert.equal(umlautStem("Kind"), null);
+});
+
+test("pluralCandidates skips endings a word can't take", () => {
+  const forms = pluralCandidates("Lehrer").map(c => c.form);
+  assert.ok(forms.includes("Lehrern"));
+  assert.ok(!forms.includes("Lehrere"));
+  assert.ok(!pluralCandidates("Tisch").some(c => c.pattern.id === "n"));
+});
+
+test("matchPluralPattern names the pattern behind a plural", () => {
+  assert.equal(matchPluralPattern("Haus", "die Häuser").id, "uml-er");
+  assert.equal(matchPluralPattern("Auto", "Autos").id, "s");
+  assert.equal(matchPluralPattern("Lehrer", "Lehrer").id, "none");
+  assert.equal(matchPluralPattern("Museum", "Museen"), null);
+  assert.equal(barePlural(" die Katzen "), "Katzen");
+});
+
+test("cloze markers: ids, plain text and one blanked id", () => {
+  const text = "{{c1::Der}} {{c2::Hund::animal}} bellt, {{c1::der}} Hund.";
+  assert.deepEqual(clozeIds(text), ["c1", "c2"]);
+  assert.equal(stripCloze(text), "Der Hund bellt, der Hund.");
+  assert.deepEqual(renderCloze(text, "c1"), { text: "___ Hund bellt, ___ Hund.", answer: "Der der", hint: "" });
+  assert.deepEqual(renderCloze(text, "c2"), { text: "Der ___ bellt, der Hund.", answer: "Hund", hint: "animal" });
+});
+
+test("autoCloze blanks the word or an inflected form of it", () => {
+  const answer = (s, forms) => autoCloze(s, forms)?.answer ?? null;
+  assert.deepEqual(autoCloze("Das Haus ist alt.", ["Haus"]), { text: "Das ___ ist alt.", answer: "Haus", hint: "" });
+  assert.equal(answer("Das Dach des Hauses ist rot.", ["Haus"]), "Hauses");
+  assert.equal(answer("Die Häuser sind alt.", ["Haus", ""]), "Häuser");
+  assert.equal(answer("Er fährt nach Berlin.", ["fahren"]), "fährt");
+  assert.equal(answer("Er wandert oft.", ["wandern"]), "wandert");
+  assert.equal(answer("Zwei Lampen hängen dort.", ["Lampe"]), "Lampen");
+  assert.equal(answer("Er fuhr nach Hause.", ["fahren", "", "", "fuhr"]), "fuhr");
+});
+
+test("autoCloze doesn't blank words that only share a prefix", () => {
+  assert.equal(autoCloze("Die Haut ist trocken.", ["Haus"]), null);
+  assert.equal(autoCloze("Berlin ist die Hauptstadt.", ["Haus"]), null);
+  assert.equal(autoCloze("Er geht heim.", ["gehen"]), null); // stem too short to guess
+  assert.equal(autoCloze("Kein Wort hier.", ["Hund"]), null);
+});
+
+test("searchKey folds case, umlaut spellings and accents", () => {
+  assert.equal(searchKey("Häuser"), searchKey("hauser"));
+  assert.equal(searchKey("Haeuser"), searchKey("hauser"));
+  assert.equal(searchKey("Straße"), searchKey("STRASSE"));
+  assert.equal(searchKey("Café"), searchKey("cafe"));
+});
@@ -0,0 +1,230 @@
+// Text helpers for checking typed German answers.
+
+// Folds a string to the spelling you'd type on a keyboard without umlauts:
+// lowercase, ä/ö/ü → ae/oe/ue, ß → ss, collapsed whitespace.
+export function foldGerman(s) {
+  return (s ?? "")
+    .toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i-1] === b[j-1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Character-level diff (LCS). Returns runs of
+// { type: "same" | "missing" | "extra", text } where "missing" is in the
+// expected answer but not typed, and "extra" was typed but shouldn't be.
+// Letters are compared case-insensitively; "same" runs use the expected text.
+export function diffChars(expected, actual) {
+  const a = Array.from(expected);
+  const b = Array.from(actual);
+  const eq = (x, y) => x.toLowerCase() === y.toLowerCase();
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = eq(a[i], b[j]) ? lcs[i+1][j+1] + 1 : Math.max(lcs[i+1][j], lcs[i][j+1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, ch) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += ch;
+    else runs.push({ type, text: ch });
+  };
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (eq(a[i], b[j])) { push("same", a[i]); i++; j++; }
+    else if (lcs[i+1][j] >= lcs[i][j+1]) { push("missing", a[i]); i++; }
+    else { push("extra", b[j]); j++; }
+  }
+  while (i < a.length) push("missing", a[i++]);
+  while (j < b.length) push("extra", b[j++]);
+  return runs;
+}
+
+const ARTICLES = ["der", "die", "das"];
+
+// Splits "die Katze" into { article: "die", word: "Katze" }.
+export function splitArticle(input) {
+  const s = (input ?? "").trim().replace(/\s+/g, " ");
+  const m = s.match(/^(\S+)\s+(.+)$/);
+  if (m && ARTICLES.includes(m[1].toLowerCase())) return { article: m[1].toLowerCase(), word: m[2] };
+  return { article: "", word: s };
+}
+
+// Compares a typed answer against a card's article + German word.
+// word: "exact" | "umlaut" (ae/oe/ue/ss spelling) | "typo" | "wrong"
+// article: "ok" | "wrong" | "omitted" | "n/a" (card has no article)
+export function checkTypedAnswer(card, input) {
+  const given = splitArticle(input);
+  const expectedArticle = (card.article || "").toLowerCase();
+
+  let article = "n/a";
+  if (expectedArticle) {
+    if (!given.article) article = "omitted";
+    else article = given.article === expectedArticle ? "ok" : "wrong";
+  } else if (given.article) {
+    // Card has no article but one was typed: treat it as part of the word.
+    given.word = `${given.article} ${given.word}`;
+    given.article = "";
+  }
+
+  const target = (card.german || "").trim();
+  let word = "wrong";
+  if (given.word.toLowerCase() === target.toLowerCase()) word = "exact";
+  else if (foldGerman(given.word) === foldGerman(target)) word = "umlaut";
+  else {
+    const dist = levenshtein(foldGerman(given.word), foldGerman(target));
+    if (dist <= (target.length > 8 ? 2 : 1)) word = "typo";
+  }
+
+  const expected = [expectedArticle && given.article ? card.article : "", target].filter(Boolean).join(" ");
+  const typed = [given.article, given.word].filter(Boolean).join(" ");
+  return { word, article, diff: diffChars(expected, typed) };
+}
+
+// Replaces the last umlautable vowel (au, a, o, u) with its umlaut, or
+// returns null if there is none: Haus → Häus, Apfel → Äpfel.
+export function umlautStem(word) {
+  const m = word.match(/^(.*)(au)([^aouäöü]+)$/i) || word.match(/^(.*)([aou])([^aouäöü]+)$/i);
+  if (!m) return null;
+  const map = { a: "ä", o: "ö", u: "ü", A: "Ä", O: "Ö", U: "Ü" };
+  return m[1] + map[m[2][0]] + m[2].slice(1) + m[3];
+}
+
+// Common German plural patterns, in the order they're offered in the quiz.
+export const PLURAL_PATTERNS = [
+  { id: "e", label: "-e", umlaut: false, ending: "e" },
+  { id: "uml-e", label: "¨-e", umlaut: true, ending: "e" },
+  { id: "er", label: "-er", umlaut: false, ending: "er" },
+  { id: "uml-er", label: "¨-er", umlaut: true, ending: "er" },
+  { id: "n", label: "-n", umlaut: false, ending: "n" },
+  { id: "en", label: "-en", umlaut: false, ending: "en" },
+  { id: "s", label: "-s", umlaut: false, ending: "s" },
+  { id: "uml", label: "¨", umlaut: true, ending: "" },
+  { id: "none", label: "no change", umlaut: false, ending: "" }
+];
+
+// Strips a leading "die " that some cards store with the plural.
+export function barePlural(plural) {
+  return (plural ?? "").trim().replace(/^die\s+/i, "");
+}
+
+// Applies each plural pattern to a singular noun. Skips patterns that need an
+// umlaut the word can't take, and endings that can't follow -e/-el/-er.
+export function pluralCandidates(singular) {
+  const word = singular.trim();
+  const endsInVowelish = /(e|el|er)$/i.test(word);
+  const out = [];
+  for (const p of PLURAL_PATTERNS) {
+    if (p.id === "n" && !endsInVowelish) continue;
+    if (endsInVowelish && p.ending.startsWith("e")) continue;
+    const stem = p.umlaut ? umlautStem(word) : word;
+    if (!stem) continue;
+    const form = stem + p.ending;
+    if (out.some(o => o.form === form)) continue;
+    out.push({ pattern: p, form });
+  }
+  return out;
+}
+
+// Which pattern turns `singular` into `plural`, if any (Museum → Museen is none).
+export function matchPluralPattern(singular, plural) {
+  const target = barePlural(plural);
+  return pluralCandidates(singular).find(c => c.form === target)?.pattern || null;
+}
+
+/** --------------------------
+ *  Cloze
+ *  Example sentences may mark gaps as {{c1::Haus}} or {{c1::Haus::hint}};
+ *  each id is its own cloze item. Without markers, the card's word is
+ *  found in the sentence instead (autoCloze).
+ *  -------------------------- */
+const CLOZE_RE = /\{\{(c\d+)::(.*?)(?:::(.*?))?\}\}/g;
+
+// Unique cloze ids in order of appearance: ["c1", "c2"].
+export function clozeIds(text) {
+  return [...new Set([...(text ?? "").matchAll(CLOZE_RE)].map(m => m[1]))];
+}
+
+// The sentence as plain text, markers replaced by their answers.
+export function stripCloze(text) {
+  return (text ?? "").replace(CLOZE_RE, (_, id, answer) => answer);
+}
+
+// Blanks every gap with `id`; other gaps show their answer.
+// Returns { text, answer, hint }; with several gaps the answers are joined
+// by spaces, in order, which is how they're typed.
+export function renderCloze(text, id) {
+  const answers = [];
+  let hint = "";
+  const out = (text ?? "").replace(CLOZE_RE, (_, cid, answer, h) => {
+    if (cid !== id) return answer;
+    answers.push(answer);
+    if (h) hint = h;
+    return "___";
+  });
+  return { text: out, answer: answers.join(" "), hint };
+}
+
+// Lowercase with umlauts dropped to their base vowel, so "fährt" still
+// starts with the stem of "fahren".
+function baseLetters(s) {
+  return foldGerman(s).replace(/ae/g, "a").replace(/oe/g, "o").replace(/ue/g, "u");
+}
+
+// For search: case, umlaut spellings (ä = ae = a), ß and other accents
+// (é = e) all fold away, so "hauser" finds "Häuser".
+export function searchKey(s) {
+  return baseLetters(s).normalize("NFD").replace(/\p{M}/gu, "");
+}
+
+// Only the endings a dictionary form can carry come off: -en/-n of a verb,
+// -e of a noun like Lampe. A final s or t belongs to the word (Haus, Bett).
+function stemOf(word) {
+  return baseLetters(word).replace(/en$|(?<=[lr])n$|e$/, "");
+}
+
+// What may follow the stem in an inflected form: plural, case and
+// conjugation endings, nothing else.
+const INFLECTION = /^(e|em|en|ens|er|ern|es|est|et|n|s|st|t)?$/;
+
+// Finds one of `forms` (word, plural, verb forms…) in the sentence: an exact
+// word first, else an inflected one made of the first form's stem plus an
+// ending (Haus → Hauses, fahren → fährt, but not Haus → Haut). Returns
+// { text, answer, hint: "" } like renderCloze, or null when nothing matches.
+export function autoCloze(sentence, forms) {
+  const text = stripCloze(sentence);
+  const words = [...text.matchAll(/[\p{L}ß]+/gu)];
+  const wanted = forms.map(f => (f ?? "").trim()).filter(f => f && !/\s/.test(f));
+  if (!wanted.length) return null;
+
+  let hit = words.find(w => wanted.some(f => w[0].toLowerCase() === f.toLowerCase()));
+  const stem = stemOf(wanted[0]);
+  if (!hit && stem.length >= 4) {
+    hit = words.find(w => {
+      const b = baseLetters(w[0]);
+      return b.startsWith(stem) && INFLECTION.test(b.slice(stem.length));
+    });
+  }
+  if (!hit) return null;
+  const end = hit.index + hit[0].length;
+  return { text: text.slice(0, hit.index) + "___" + text.slice(end), answer: hit[0], hint: "" };
+}
@@ -0,0 +1,47 @@
+// Rewrites the precache list in sw.js with a content hash per file and a
+// release VERSION derived from them. Run after changing any app file:
+//
+//   node tools/stamp-sw.mjs
+//
+// No dependencies. Files are taken from the existing list; to add one, add
+// a line for it between the precache markers (any hash) and run this.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SW = path.join(ROOT, "sw.js");
+const BLOCK = /(\/\/ precache:start[^\n]*\n)([\s\S]*?)(\/\/ precache:end)/;
+
+const hash = (data) => crypto.createHash("sha256").update(data).digest("hex").slice(0, 10);
+
+const sw = fs.readFileSync(SW, "utf8");
+const block = sw.match(BLOCK);
+if (!block) throw new Error("sw.js has no precache:start/precache:end block");
+
+const urls = [...block[2].matchAll(/\["(\.\/[^"]*)"/g)].map(m => m[1]);
+const entries = urls.map(url => {
+  const file = url === "./" ? "index.html" : url.slice(2);
+  return [url, hash(fs.readFileSync(path.join(ROOT, file)))];
+});
+const version = hash(entries.map(e => e.join(" ")).join("\n"));
+// sw.js is checked in with CRLF line endings; keep whichever it has.
+const eol = sw.includes("\r\n") ? "\r\n" : "\n";
+
+const list = [
+  `const VERSION = "${version}";`,
+  "const PRECACHE = [",
+  entries.map(([url, rev]) => `  ["${url}", "${rev}"]`).join(`,${eol}`),
+  "];",
+  ""
+].join(eol);
+
+const next = sw.replace(BLOCK, (_, start, __, end) => `${start}${list}${end}`);
+if (next === sw) {
+  console.log(`sw.js is up to date (version ${version}).`);
+} else {
+  fs.writeFileSync(SW, next);
+  console.log(`sw.js stamped: version ${version}, ${entries.length} files.`);
+}